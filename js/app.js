@@ -9,6 +9,7 @@ class DJMixApp {
         this.deckA = null;
         this.deckB = null;
         this.mixer = null;
+        this.phaseMeter = null;
         this.midiController = null;
         this.autoMixer = null;
         this.fileBrowser = null;
@@ -33,10 +34,14 @@ class DJMixApp {
         this.deckA = new DeckController('A', this.audioEngine);
         this.deckB = new DeckController('B', this.audioEngine);
         this.mixer = new MixerController(this.audioEngine);
+        this.phaseMeter = new PhaseMeter(this.audioEngine);
 
         // Create auto mixer
         this.autoMixer = new AutoMixer(this.audioEngine);
 
+        // Create mix recorder
+        this.mixRecorder = new MixRecorder(this.audioEngine);
+
         // Create file browser and playlist
         this.fileBrowser = new FileBrowser(this.audioEngine);
         this.playlist = new Playlist(this.audioEngine, this.fileBrowser);
@@ -51,6 +56,9 @@ class DJMixApp {
         // Setup settings
         this.setupSettings();
 
+        // Setup quantize toggle
+        this.setupQuantize();
+
         // Setup MIDI controller
         this.setupMIDI();
 
@@ -102,8 +110,8 @@ class DJMixApp {
      */
     setupKeyboardShortcuts() {
         document.addEventListener('keydown', (e) => {
-            // Ignore if typing in an input
-            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+            // Ignore if typing in an input or choosing in a select
+            if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
 
             switch (e.code) {
                 // Deck A controls
@@ -127,6 +135,14 @@ class DJMixApp {
                     e.preventDefault();
                     this.audioEngine.sync('A');
                     break;
+                case 'KeyD':
+                    e.preventDefault();
+                    this.audioEngine.beatJumpBySize('A', -1);
+                    break;
+                case 'KeyF':
+                    e.preventDefault();
+                    this.audioEngine.beatJumpBySize('A', 1);
+                    break;
 
                 // Deck A Hot Cues (1-4)
                 case 'Digit1':
@@ -167,6 +183,14 @@ class DJMixApp {
                     e.preventDefault();
                     this.audioEngine.sync('B');
                     break;
+                case 'KeyL':
+                    e.preventDefault();
+                    this.audioEngine.beatJumpBySize('B', -1);
+                    break;
+                case 'Semicolon':
+                    e.preventDefault();
+                    this.audioEngine.beatJumpBySize('B', 1);
+                    break;
 
                 // Deck B Hot Cues (7-0)
                 case 'Digit7':
@@ -308,10 +332,30 @@ class DJMixApp {
         // Listen for relevant events
         this.audioEngine.on('trackLoaded', updateMasterBPM);
         this.audioEngine.on('tempoChange', updateMasterBPM);
+        this.audioEngine.on('beatGridChange', updateMasterBPM);
+        this.audioEngine.on('analysisComplete', updateMasterBPM);
         this.audioEngine.on('play', updateMasterBPM);
         this.audioEngine.on('stop', updateMasterBPM);
     }
 
+    /**
+     * Setup quantize toggle (persisted)
+     */
+    setupQuantize() {
+        const quantizeBtn = document.getElementById('quantizeBtn');
+
+        this.audioEngine.on('quantizeChange', (enabled) => {
+            quantizeBtn?.classList.toggle('active', enabled);
+            localStorage.setItem('quantizeEnabled', enabled);
+        });
+
+        quantizeBtn?.addEventListener('click', () => {
+            this.audioEngine.setQuantize(!this.audioEngine.quantizeEnabled);
+        });
+
+        this.audioEngine.setQuantize(localStorage.getItem('quantizeEnabled') === 'true');
+    }
+
     /**
      * Setup settings modal and controls
      */
@@ -321,12 +365,53 @@ class DJMixApp {
         const closeSettings = document.getElementById('closeSettings');
         const pitchModeSelect = document.getElementById('pitchMode');
         const autoMixCheckbox = document.getElementById('autoMixEnabled');
+        const autoGainCheckbox = document.getElementById('autoGainEnabled');
+        const eqModeSelect = document.getElementById('eqMode');
+        const playbackBackendSelect = document.getElementById('playbackBackend');
+        const waveformStyleSelect = document.getElementById('waveformStyle');
+        const waveformZoomModeSelect = document.getElementById('waveformZoomMode');
+        const outputModeSelect = document.getElementById('outputMode');
 
         // Load saved settings
         const savedPitchMode = localStorage.getItem('pitchMode') || 'linked';
         pitchModeSelect.value = savedPitchMode;
         this.applyPitchMode(savedPitchMode);
 
+        // Load playback backend (falls back to HTML5 Audio without AudioWorklet)
+        const savedBackend = localStorage.getItem('playbackBackend') || 'media';
+        this.audioEngine.setPlaybackBackend(savedBackend).then(backend => {
+            playbackBackendSelect.value = backend;
+        });
+
+        // Load waveform style
+        const savedWaveformStyle = localStorage.getItem('waveformStyle') || 'rgb';
+        waveformStyleSelect.value = savedWaveformStyle;
+        this.applyWaveformStyle(savedWaveformStyle);
+
+        // Load waveform zoom (changed from the waveforms themselves, saved on every change)
+        const savedZoom = parseFloat(localStorage.getItem('waveformZoom')) || 8;
+        const savedZoomMode = localStorage.getItem('waveformZoomMode') || 'seconds';
+        waveformZoomModeSelect.value = savedZoomMode;
+        this.audioEngine.on('waveformZoomChange', (zoom) => {
+            localStorage.setItem('waveformZoom', zoom.seconds);
+            localStorage.setItem('waveformZoomMode', zoom.mode);
+        });
+        this.audioEngine.setWaveformZoom(savedZoom, savedZoomMode);
+
+        // Load headphone output (4 channels falls back to split on stereo interfaces)
+        const savedOutputMode = localStorage.getItem('outputMode') || 'master';
+        outputModeSelect.value = this.audioEngine.setOutputMode(savedOutputMode);
+
+        // Load EQ mode
+        const savedEqMode = localStorage.getItem('eqMode') || 'eq';
+        eqModeSelect.value = savedEqMode;
+        this.audioEngine.setEQMode(savedEqMode);
+
+        // Load auto gain setting
+        const savedAutoGain = localStorage.getItem('autoGainEnabled') === 'true';
+        autoGainCheckbox.checked = savedAutoGain;
+        this.audioEngine.setAutoGain(savedAutoGain);
+
         // Load auto mix setting
         const savedAutoMix = localStorage.getItem('autoMixEnabled') === 'true';
         autoMixCheckbox.checked = savedAutoMix;
@@ -363,6 +448,46 @@ class DJMixApp {
             this.applyPitchMode(mode);
         });
 
+        // Playback backend change
+        playbackBackendSelect.addEventListener('change', async (e) => {
+            const backend = await this.audioEngine.setPlaybackBackend(e.target.value);
+            localStorage.setItem('playbackBackend', backend);
+            playbackBackendSelect.value = backend;
+        });
+
+        // Waveform style change
+        waveformStyleSelect.addEventListener('change', (e) => {
+            const style = e.target.value;
+            localStorage.setItem('waveformStyle', style);
+            this.applyWaveformStyle(style);
+        });
+
+        // Waveform zoom mode change
+        waveformZoomModeSelect.addEventListener('change', (e) => {
+            this.audioEngine.setWaveformZoom(this.audioEngine.waveformZoom.seconds, e.target.value);
+        });
+
+        // Headphone output change
+        outputModeSelect.addEventListener('change', (e) => {
+            const mode = this.audioEngine.setOutputMode(e.target.value);
+            localStorage.setItem('outputMode', mode);
+            outputModeSelect.value = mode;
+        });
+
+        // EQ mode change
+        eqModeSelect.addEventListener('change', (e) => {
+            const mode = e.target.value;
+            localStorage.setItem('eqMode', mode);
+            this.audioEngine.setEQMode(mode);
+        });
+
+        // Auto gain change
+        autoGainCheckbox.addEventListener('change', (e) => {
+            const enabled = e.target.checked;
+            localStorage.setItem('autoGainEnabled', enabled);
+            this.audioEngine.setAutoGain(enabled);
+        });
+
         // Auto mix change
         autoMixCheckbox.addEventListener('change', (e) => {
             const enabled = e.target.checked;
@@ -371,6 +496,16 @@ class DJMixApp {
         });
     }
 
+    /**
+     * Apply waveform style to both decks
+     */
+    applyWaveformStyle(style) {
+        for (const deck of [this.deckA, this.deckB]) {
+            deck.miniWaveform?.setStyle(style);
+            deck.zoomedWaveform?.setStyle(style);
+        }
+    }
+
     /**
      * Apply pitch mode setting
      */
@@ -1,7 +1,9 @@
 /**
  * DJ Mix Web - Audio Engine
  * Core audio processing using HTML5 Audio + Web Audio API
- * Uses <audio> elements for playback (with preservesPitch support)
+ * Playback goes through a per-deck player backend (see playbackBackends.js):
+ * <audio> elements or an AudioWorklet buffer player
+ * Key lock and pitch go through a pitch-shifter worklet (preservesPitch only as fallback)
  * Uses Web Audio API for EQ and mixing
  */
 
@@ -9,6 +11,13 @@ class AudioEngine {
     constructor() {
         this.audioContext = null;
         this.masterGain = null;
+        this.masterOutput = null;  // After the limiter: feeds outputs, headphones and meters
+
+        // Master gain in dB
+        this.masterVolume = 0;
+
+        // Brickwall ceiling of the master bus (dBFS)
+        this.masterCeiling = -0.1;
 
         // Deck states
         this.decks = {
@@ -19,9 +28,76 @@ class AudioEngine {
         // Mixer state
         this.crossfaderPosition = 0.5;
 
+        // Headphone cue (PFL): mix 0 = cue only, 1 = master only
+        this.headphones = { mix: 0.5, level: 0.8 };
+
+        // Output routing: 'master' (master only), 'split' (master mono left, cue mono right)
+        // or 'multichannel' (master on outputs 1-2, cue on 3-4)
+        this.outputMode = 'master';
+        this.outputConnections = [];  // [source, target, output, input] connections made by applyOutputMode()
+
+        // Quantize: snap cues to the beat grid and start jumps/play on the beat
+        this.quantizeEnabled = false;
+
+        // EQ mode: 'eq' (shelving/peaking, ±12 dB) or 'isolator' (LR4 crossover, full kill to +6 dB)
+        this.eqMode = 'eq';
+        this.eqKillDb = -40;  // What a kill does in 'eq' mode (a shelf can't reach -Infinity)
+
+        // Auto gain: set trim on load so every track plays at the target loudness (LUFS)
+        this.autoGainEnabled = false;
+        this.autoGainTarget = -10;
+
+        // Zoomed waveform window shared by both decks: seconds (at tempo 1), or in 'beats' mode
+        // the same number of beats as that many seconds at 120 BPM
+        this.waveformZoom = { seconds: 8, mode: 'seconds' };
+
+        // Default hot cue colors (8 colors for hot cues 1-8)
+        this.hotCueColors = [
+            '#FF0000', // 1 - Rojo
+            '#00FF00', // 2 - Verde
+            '#0088FF', // 3 - Azul
+            '#FFFF00', // 4 - Amarillo
+            '#FF00FF', // 5 - Magenta
+            '#00FFFF', // 6 - Cyan
+            '#FF8800', // 7 - Naranja
+            '#88FF00'  // 8 - Lima
+        ];
+
+        // Hot cue types: plain cue, hot loop (jumps and loops), fade in/out markers (used by the auto mixer)
+        this.hotCueTypes = ['cue', 'loop', 'fade-in', 'fade-out'];
+
+        // Per-track saved data (analysis, grid edits, cues, loop)
+        this.trackStore = new TrackStore();
+
+        // BPM/key/waveform analysis (Web Worker with main-thread fallback)
+        this.trackAnalyzer = new TrackAnalyzer();
+
+        // Playback backend: 'media' (<audio> element) or 'worklet' (AudioBuffer player)
+        this.playbackBackend = 'media';
+        this.workletReady = false;
+
+        // Pitch-shifter worklet (key lock + PITCH slider) loaded in init()
+        this.pitchShifterReady = false;
+
         // Event emitter
         this.events = Utils.createEventEmitter();
 
+        // Keep the player's own loop (sample-accurate backends) in step with the deck
+        for (const event of ['loopEnabled', 'loopDisabled', 'loopInSet', 'loopMoved']) {
+            this.events.on(event, (deckId) => this.syncPlayerLoop(deckId));
+        }
+
+        // Remember the loop of each track (rolls are temporary and not saved)
+        for (const event of ['loopEnabled', 'loopInSet', 'loopMoved']) {
+            this.events.on(event, (deckId) => {
+                const deck = this.decks[deckId];
+                if (deck.rollSavedLoop || deck.loopEnd <= deck.loopStart) return;
+                this.saveTrackData(deckId, {
+                    loop: { start: deck.loopStart, end: deck.loopEnd, beats: deck.loopBeats }
+                });
+            });
+        }
+
         // Position update loop
         this.positionLoop = null;
     }
@@ -33,16 +109,25 @@ class AudioEngine {
         return {
             id,
 
-            // HTML5 Audio element
-            audioElement: null,
-            mediaSource: null,  // MediaElementAudioSourceNode
+            // Playback backend (MediaElementPlayer or WorkletBufferPlayer)
+            player: null,
+            pitchShifter: null, // AudioWorkletNode between player and EQ (null if unsupported)
+            pitchInput: null,   // Player output: feeds the pitch shifter and the direct path
+            pitchDirect: null,  // Direct path gain (1 at pitch ratio 1, so no shifter latency)
+            pitchShifted: null, // Pitch shifter path gain
+            pitchBypassed: true, // Direct path in use (ratio 1)
+            pitchLatency: 0,    // Current shifter delay in seconds, reported by the processor
             objectUrl: null,    // For cleanup
 
             // Audio nodes (Web Audio API)
             gainNode: null,
+            trimGain: null,     // Pre-EQ channel gain
+            eqInput: null,      // Feeds the EQ or the isolator, depending on eqMode
             eqLow: null,
             eqMid: null,
             eqHigh: null,
+            isolator: null,
+            fx: null,           // DeckEffects (filter, flanger, echo)
             analyser: null,
 
             // Playback state
@@ -54,17 +139,35 @@ class AudioEngine {
             // Volume
             volume: 1.0,
 
-            // EQ values (dB)
+            // Trim (dB) and integrated loudness of the loaded track (LUFS, null until analysed)
+            trim: 0,
+            loudness: null,
+
+            // EQ values (dB, -Infinity = killed in isolator mode) and kill switches
             eqLowValue: 0,
             eqMidValue: 0,
             eqHighValue: 0,
+            eqKills: { low: false, mid: false, high: false },
 
-            // Cue points
+            // FX values (filter: -1 to 1, flanger/echo: 0 to 1)
+            fxFilterValue: 0,
+            fxFlangerValue: 0,
+            fxEchoValue: 0,
+
+            // FX timing synced to the beat grid
+            fxEchoBeats: 0.5,    // Echo delay in beats (1/4, 1/2, 3/4 or 1)
+            fxFlangerBars: 4,    // Flanger LFO period in bars
+
+            // Cue points (hot cues: { position, color, label, type, length } or null)
             cuePoint: 0,
             hotCues: [null, null, null, null, null, null, null, null],
 
+            // Loops saved for the track ({ start, end, beats }, sorted by start)
+            savedLoops: [],
+
             // Track info
             trackName: '',
+            trackKey: null,        // TrackStore key (content fingerprint) of the loaded file
             bpm: 0,
 
             // Pitch shift in semitones (for independent mode)
@@ -81,9 +184,40 @@ class AudioEngine {
             loopStart: 0,        // En segundos
             loopEnd: 0,          // En segundos
             loopBeats: 4,        // Beats (puede ser fracción: 0.03125 = 1/32)
+            loopInSet: false,    // IN pulsado en esta pista, esperando OUT
+
+            // Beat jump size in beats (1 to 64)
+            jumpBeats: 4,
+
+            // Loop roll (loop state saved while a roll pad is held)
+            rollSavedLoop: null,
+
+            // Slip mode: a shadow playhead keeps running during loops, jumps and scratches
+            slipEnabled: false,
+            slipHolds: new Set(),  // Active reasons ('loop', 'roll', 'hotcue', 'scratch', 'reverse')
+            slipPosition: 0,       // Where the track would be (seconds)
+            slipLastTime: 0,       // AudioContext time of last shadow update
+            scratching: false,     // Held by the platter while slipping
+
+            reverse: false,        // Playing backwards (the player handles the direction)
+
+            // Headphone cue (PFL) on/off
+            pfl: false,
+
+            // Pending quantized action (play/jump waiting for the next beat)
+            quantizeTimer: null,
+
+            // Tap tempo: recent taps as { time (s, wall clock), position (s, track) }
+            taps: [],
+
+            // Sampler slots (AudioBuffers captured from the track, 1-8)
+            samples: [null, null, null, null, null, null, null, null],
+
+            // Beat grid (BPM + first downbeat) used by every beat calculation
+            beatGrid: new BeatGrid(),
 
-            // Beat grid offset (time of first beat in seconds)
-            beatOffset: 0
+            // Detected musical key ({ tonic, mode, confidence }), before pitch/tempo shifts
+            key: null
         };
     }
 
@@ -95,9 +229,30 @@ class AudioEngine {
 
         this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
 
-        // Create master gain
-        this.masterGain = this.audioContext.createGain();
-        this.masterGain.connect(this.audioContext.destination);
+        // Master bus: masterGain -> limiter -> masterOutput
+        this.initMasterNodes();
+
+        // Headphone bus: PFL decks (cueBus) blended with the master
+        this.cueBus = this.audioContext.createGain();
+        this.headphoneCueGain = this.audioContext.createGain();
+        this.headphoneMasterGain = this.audioContext.createGain();
+        this.headphoneGain = this.audioContext.createGain();
+        this.cueBus.connect(this.headphoneCueGain);
+        this.masterOutput.connect(this.headphoneMasterGain);
+        this.headphoneCueGain.connect(this.headphoneGain);
+        this.headphoneMasterGain.connect(this.headphoneGain);
+        this.updateHeadphoneGains();
+
+        // Route master (and headphones) to the sound card
+        this.setOutputMode(this.outputMode);
+
+        // Pitch shifter for key lock and pitch (falls back to preservesPitch)
+        await this.loadPitchShifter();
+
+        // Load the worklet player if it was selected before init
+        if (this.playbackBackend === 'worklet' && !(await this.loadWorklet())) {
+            this.playbackBackend = 'media';
+        }
 
         // Initialize deck nodes
         for (const deckId of ['A', 'B']) {
@@ -107,7 +262,62 @@ class AudioEngine {
         // Start position update loop
         this.startPositionLoop();
 
-        console.log('Audio Engine initialized (HTML5 Audio mode)');
+        console.log(`Audio Engine initialized (${this.playbackBackend} playback)`);
+    }
+
+    /**
+     * Create the master bus: gain, limiter and stereo meter analysers
+     * The limiter is a compressor followed by a hard clip at masterCeiling: the compressor does the
+     * audible gain riding, the clipper catches what it lets through (transients during its attack and
+     * its automatic makeup gain), so the output never goes above the ceiling
+     */
+    initMasterNodes() {
+        const ctx = this.audioContext;
+
+        this.masterGain = ctx.createGain();
+        this.masterGain.gain.value = Utils.dbToGain(this.masterVolume);
+
+        // Compressor: fast, hard compression just under the ceiling
+        this.masterLimiter = ctx.createDynamicsCompressor();
+        this.masterLimiter.threshold.value = -1;
+        this.masterLimiter.knee.value = 0;
+        this.masterLimiter.ratio.value = 20;
+        this.masterLimiter.attack.value = 0.001;
+        this.masterLimiter.release.value = 0.1;
+
+        // Hard clip at the ceiling (no oversampling: its filters would overshoot the ceiling)
+        this.masterClipper = ctx.createWaveShaper();
+        this.masterClipper.curve = this.createClipCurve(Utils.dbToGain(this.masterCeiling));
+        this.masterClipper.oversample = 'none';
+
+        this.masterOutput = ctx.createGain();
+        this.masterGain.connect(this.masterLimiter);
+        this.masterLimiter.connect(this.masterClipper);
+        this.masterClipper.connect(this.masterOutput);
+
+        // Stereo meters (one analyser per channel)
+        const splitter = ctx.createChannelSplitter(2);
+        this.masterOutput.connect(splitter);
+        this.masterAnalysers = [0, 1].map(channel => {
+            const analyser = ctx.createAnalyser();
+            analyser.fftSize = 2048;
+            splitter.connect(analyser, channel);
+            return analyser;
+        });
+        this.masterMeterData = new Float32Array(2048);
+    }
+
+    /**
+     * WaveShaper curve: linear up to ±ceiling, flat beyond (inputs past ±1 use the end values)
+     */
+    createClipCurve(ceiling) {
+        const length = 4097;
+        const curve = new Float32Array(length);
+        for (let i = 0; i < length; i++) {
+            const x = (i / (length - 1)) * 2 - 1;
+            curve[i] = Utils.clamp(x, -ceiling, ceiling);
+        }
+        return curve;
     }
 
     /**
@@ -116,13 +326,13 @@ class AudioEngine {
     initDeckNodes(deckId) {
         const deck = this.decks[deckId];
 
-        // Create audio element
-        deck.audioElement = new Audio();
-        deck.audioElement.crossOrigin = 'anonymous';
-
         // Create gain node
         deck.gainNode = this.audioContext.createGain();
 
+        // Create trim (pre-EQ gain)
+        deck.trimGain = this.audioContext.createGain();
+        deck.trimGain.gain.value = Utils.dbToGain(deck.trim);
+
         // Create EQ nodes (biquad filters)
         deck.eqLow = this.audioContext.createBiquadFilter();
         deck.eqLow.type = 'lowshelf';
@@ -140,69 +350,185 @@ class AudioEngine {
         deck.eqHigh.frequency.value = 10000;
         deck.eqHigh.gain.value = 0;
 
+        // Create isolator (replaces the EQ biquads in isolator mode)
+        deck.eqInput = this.audioContext.createGain();
+        deck.isolator = new Isolator(this.audioContext);
+
+        // Create pitch shifter (player -> pitchShifter -> trim), bypassed while the ratio is 1
+        deck.pitchInput = this.audioContext.createGain();
+        deck.pitchDirect = this.audioContext.createGain();
+        deck.pitchInput.connect(deck.pitchDirect);
+        deck.pitchDirect.connect(deck.trimGain);
+
+        if (this.pitchShifterReady) {
+            deck.pitchShifter = new AudioWorkletNode(this.audioContext, 'pitch-shifter', {
+                outputChannelCount: [2]
+            });
+            deck.pitchShifted = this.audioContext.createGain();
+            deck.pitchShifted.gain.value = 0;
+            deck.pitchInput.connect(deck.pitchShifter);
+            deck.pitchShifter.connect(deck.pitchShifted);
+            deck.pitchShifted.connect(deck.trimGain);
+            deck.pitchShifter.port.onmessage = (e) => {
+                if (e.data.type === 'latency') deck.pitchLatency = e.data.latency;
+            };
+        }
+
+        // Create FX chain (filter -> flanger -> echo)
+        deck.fx = new DeckEffects(this.audioContext);
+
         // Create analyser for volume metering
         deck.analyser = this.audioContext.createAnalyser();
         deck.analyser.fftSize = 256;
 
-        // Connect EQ chain: eqLow -> eqMid -> eqHigh -> gain -> analyser -> master
+        // Connect chain: player -> (pitchShifter) -> trim -> eqLow -> eqMid -> eqHigh (or isolator) -> fx -> gain -> analyser -> master
+        deck.trimGain.connect(deck.eqInput);
         deck.eqLow.connect(deck.eqMid);
         deck.eqMid.connect(deck.eqHigh);
-        deck.eqHigh.connect(deck.gainNode);
+        deck.eqHigh.connect(deck.fx.input);
+        deck.isolator.output.connect(deck.fx.input);
+        this.connectEQ(deckId);
+        deck.fx.output.connect(deck.gainNode);
         deck.gainNode.connect(deck.analyser);
         deck.analyser.connect(this.masterGain);
 
-        // Setup audio element events
-        this.setupAudioElementEvents(deckId);
+        // PFL tap: after EQ and FX, before the volume fader and crossfader
+        deck.cueGain = this.audioContext.createGain();
+        deck.cueGain.gain.value = deck.pfl ? 1 : 0;
+        deck.fx.output.connect(deck.cueGain);
+        deck.cueGain.connect(this.cueBus);
+
+        this.createPlayer(deckId);
+    }
+
+    /**
+     * Create the deck's player for the current backend and connect it to the trim/EQ chain
+     */
+    createPlayer(deckId) {
+        const deck = this.decks[deckId];
+
+        const player = this.playbackBackend === 'worklet'
+            ? new WorkletBufferPlayer(this.audioContext)
+            : new MediaElementPlayer(this.audioContext);
+
+        player.output.connect(deck.pitchInput);
+        player.setPreservesPitch(deck.preservesPitch && !deck.pitchShifter);
+        deck.player = player;
+        this.applyPitch(deckId);
+
+        this.setupPlayerEvents(deckId, player);
     }
 
     /**
-     * Setup events for audio element
+     * Setup events for a deck's player
      */
-    setupAudioElementEvents(deckId) {
+    setupPlayerEvents(deckId, player) {
         const deck = this.decks[deckId];
-        const audio = deck.audioElement;
 
-        audio.addEventListener('ended', () => {
+        // Ignore events from a player that has been replaced
+        player.events.on('ended', () => {
+            if (deck.player !== player) return;
             deck.isPlaying = false;
             deck.isPaused = false;
             this.events.emit('trackEnded', deckId);
             this.events.emit('stop', deckId);
         });
 
-        audio.addEventListener('play', () => {
+        player.events.on('play', () => {
+            if (deck.player !== player) return;
             deck.isPlaying = true;
             deck.isPaused = false;
         });
 
-        audio.addEventListener('pause', () => {
-            if (deck.isPlaying) {
+        player.events.on('pause', () => {
+            if (deck.player !== player) return;
+            if (deck.isPlaying && !deck.scratching) {
                 deck.isPaused = true;
             }
         });
+    }
 
-        audio.addEventListener('loadedmetadata', () => {
-            deck.duration = audio.duration;
-        });
+    /**
+     * Load the pitch-shifter worklet module
+     * @returns {Promise<boolean>} False if AudioWorklet is unavailable
+     */
+    async loadPitchShifter() {
+        try {
+            await this.audioContext.audioWorklet.addModule('js/worklets/pitchShifterProcessor.js');
+            this.pitchShifterReady = true;
+        } catch (error) {
+            console.warn('Pitch shifter unavailable, using preservesPitch:', error);
+        }
+        return this.pitchShifterReady;
     }
 
     /**
-     * Connect audio element to Web Audio API
+     * Load the AudioWorklet player module
+     * @returns {Promise<boolean>} False if AudioWorklet is unavailable
      */
-    connectAudioElement(deckId) {
-        const deck = this.decks[deckId];
+    async loadWorklet() {
+        if (this.workletReady) return true;
+        try {
+            await WorkletBufferPlayer.register(this.audioContext);
+            this.workletReady = true;
+        } catch (error) {
+            console.warn('AudioWorklet playback unavailable, using HTML5 Audio:', error);
+        }
+        return this.workletReady;
+    }
+
+    /**
+     * Select the playback backend ('media' or 'worklet')
+     * Loaded tracks move to the new player at the same position
+     * @returns {Promise<string>} The backend in use (falls back to 'media')
+     */
+    async setPlaybackBackend(backend) {
+        if (backend !== 'worklet') backend = 'media';
+
+        if (backend === 'worklet' && this.audioContext && !(await this.loadWorklet())) {
+            backend = 'media';
+        }
 
-        // Disconnect existing source if any
-        if (deck.mediaSource) {
-            try {
-                deck.mediaSource.disconnect();
-            } catch (e) {}
+        if (backend !== this.playbackBackend) {
+            this.playbackBackend = backend;
+            if (this.audioContext) {
+                for (const deckId of ['A', 'B']) {
+                    await this.replacePlayer(deckId);
+                }
+            }
         }
 
-        // Create new MediaElementSourceNode
-        deck.mediaSource = this.audioContext.createMediaElementSource(deck.audioElement);
+        this.events.emit('playbackBackendChange', backend);
+        return backend;
+    }
+
+    /**
+     * Swap a deck's player for one of the current backend, keeping the track and position
+     */
+    async replacePlayer(deckId) {
+        const deck = this.decks[deckId];
+        const oldPlayer = deck.player;
+        const position = this.getPosition(deckId);
+        const wasPlaying = deck.isPlaying && !deck.isPaused;
+
+        this.createPlayer(deckId);
+        oldPlayer.disconnect();
 
-        // Connect to EQ chain
-        deck.mediaSource.connect(deck.eqLow);
+        if (deck.objectUrl && deck.audioBuffer) {
+            await deck.player.load(deck.objectUrl, deck.audioBuffer);
+            deck.player.setReverse(deck.reverse, deck.audioBuffer);
+            deck.player.currentTime = position + this.getPitchLatency(deckId);
+            this.syncPlayerLoop(deckId);
+            if (wasPlaying) deck.player.play();
+        }
+    }
+
+    /**
+     * Pass the deck's loop to the player (only used by backends that wrap loops themselves)
+     */
+    syncPlayerLoop(deckId) {
+        const deck = this.decks[deckId];
+        deck.player?.setLoop(deck.loopStart, deck.loopEnd, deck.loopEnabled);
     }
 
     /**
@@ -211,8 +537,9 @@ class AudioEngine {
     async loadTrack(deckId, file) {
         const deck = this.decks[deckId];
 
-        // Stop current playback
+        // Stop current playback (reverse belongs to the previous track)
         this.stop(deckId);
+        this.setReverse(deckId, false);
 
         // Cleanup previous object URL
         if (deck.objectUrl) {
@@ -222,105 +549,211 @@ class AudioEngine {
         // Create object URL for the file
         deck.objectUrl = URL.createObjectURL(file);
 
-        // Create new audio element (needed to change source)
-        const oldAudio = deck.audioElement;
-
-        // If this is the first load, connect to Web Audio API
-        if (!deck.mediaSource) {
-            this.connectAudioElement(deckId);
+        // Streaming players load the file straight away (waits for metadata)
+        const player = deck.player;
+        if (!player.requiresBuffer) {
+            await player.load(deck.objectUrl);
         }
 
-        // Set the source
-        deck.audioElement.src = deck.objectUrl;
-
-        // Apply current settings
-        deck.audioElement.playbackRate = deck.tempo;
-        this.setAudioPreservesPitch(deck.audioElement, deck.preservesPitch);
-
-        // Wait for metadata
-        await new Promise((resolve, reject) => {
-            const onLoaded = () => {
-                deck.audioElement.removeEventListener('loadedmetadata', onLoaded);
-                deck.audioElement.removeEventListener('error', onError);
-                resolve();
-            };
-            const onError = (e) => {
-                deck.audioElement.removeEventListener('loadedmetadata', onLoaded);
-                deck.audioElement.removeEventListener('error', onError);
-                reject(e);
-            };
-            deck.audioElement.addEventListener('loadedmetadata', onLoaded);
-            deck.audioElement.addEventListener('error', onError);
-            deck.audioElement.load();
-        });
-
         // Store track info
         deck.trackName = Utils.getFileNameWithoutExt(file.name);
-        deck.duration = deck.audioElement.duration;
+        deck.trackKey = null;
         deck.cuePoint = 0;
-        deck.hotCues = [null, null, null, null];
+        deck.hotCues = [null, null, null, null, null, null, null, null];
+        deck.savedLoops = [];
+        deck.key = null;
+        deck.loudness = null;
+        if (deck.loopEnabled) {
+            deck.loopEnabled = false;
+            this.events.emit('loopDisabled', deckId);
+        }
+        deck.loopStart = 0;
+        deck.loopEnd = 0;
+        deck.loopInSet = false;
+
+        // Data saved for this file on an earlier load
+        const { key: trackKey, data: saved } = await this.trackStore.getForFile(file);
+        deck.trackKey = trackKey;
 
         // Decode audio for waveform and BPM detection
         const arrayBuffer = await file.arrayBuffer();
         deck.audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
 
-        // Detect BPM and beat offset
-        const bpmDetector = new BPMDetector();
-        const bpmResult = await bpmDetector.detect(deck.audioBuffer);
-        deck.bpm = bpmResult.bpm;
-        deck.beatOffset = bpmResult.beatOffset;
+        // Buffer players need the decoded audio
+        if (player.requiresBuffer) {
+            await player.load(deck.objectUrl, deck.audioBuffer);
+        }
+        deck.duration = player.duration;
 
-        // Generate waveform
-        const waveformGenerator = new WaveformGenerator();
-        const waveformData = waveformGenerator.generate(deck.audioBuffer);
+        // Restore cues and loop (the loop comes back inactive, ready for reloop)
+        if (saved) {
+            this.restoreTrackData(deckId, saved);
+        }
+        this.syncPlayerLoop(deckId);
 
-        // Emit events
-        this.events.emit('trackLoaded', deckId, {
-            name: deck.trackName,
-            duration: deck.duration,
-            bpm: deck.bpm,
-            beatOffset: deck.beatOffset,
-            waveformData
-        });
+        // Cached analysis is used as is (if made by this analyzer version); otherwise there's no grid until analysis is done
+        const analysis = saved?.analysis?.version === TrackAnalyzer.version ? saved.analysis : null;
+        if (analysis) {
+            this.applyAnalysis(deckId, analysis, saved.beatGrid);
+        } else {
+            deck.bpm = 0;
+            deck.beatGrid = new BeatGrid();
+        }
 
-        return {
+        const trackInfo = {
             name: deck.trackName,
             duration: deck.duration,
             bpm: deck.bpm,
-            beatOffset: deck.beatOffset,
-            waveformData
+            beatOffset: deck.beatGrid.beatOffset,
+            beatGrid: deck.beatGrid,
+            key: deck.key,
+            waveformData: analysis?.waveformData || null
         };
+
+        // The deck is playable now; unless cached, BPM, grid, key and waveform arrive with 'analysisComplete'
+        this.events.emit('trackLoaded', deckId, trackInfo);
+        if (!analysis) {
+            this.analyzeTrack(deckId, saved?.beatGrid);
+        }
+
+        return trackInfo;
+    }
+
+    /**
+     * Put saved cues and loop back on a deck
+     */
+    restoreTrackData(deckId, saved) {
+        const deck = this.decks[deckId];
+
+        if (isFinite(saved.cuePoint)) {
+            deck.cuePoint = Math.min(saved.cuePoint, deck.duration);
+        }
+        if (Array.isArray(saved.hotCues)) {
+            deck.hotCues = deck.hotCues.map((_, i) => {
+                const cue = saved.hotCues[i];
+                // Older data saved bare positions
+                const position = typeof cue === 'number' ? cue : cue?.position;
+                if (!(position >= 0 && position < deck.duration)) return null;
+                return {
+                    position,
+                    color: cue.color || this.hotCueColors[i],
+                    label: cue.label || '',
+                    type: this.hotCueTypes.includes(cue.type) ? cue.type : 'cue',
+                    length: cue.length || null
+                };
+            });
+        }
+
+        const fits = (loop) => loop && loop.end > loop.start && loop.end <= deck.duration;
+        if (fits(saved.loop)) {
+            deck.loopStart = saved.loop.start;
+            deck.loopEnd = saved.loop.end;
+            deck.loopBeats = saved.loop.beats || deck.loopBeats;
+        }
+        if (Array.isArray(saved.savedLoops)) {
+            deck.savedLoops = saved.savedLoops.filter(fits).map(loop => ({ ...loop }));
+        }
+    }
+
+    /**
+     * Set BPM, grid and key from analysis results (a grid edited by hand wins over detection)
+     */
+    applyAnalysis(deckId, analysis, savedGrid = null) {
+        const deck = this.decks[deckId];
+
+        deck.beatGrid = savedGrid
+            ? BeatGrid.fromJSON(savedGrid)
+            : new BeatGrid(analysis.bpm, analysis.firstDownbeat);
+        deck.bpm = deck.beatGrid.bpm;
+        deck.key = analysis.key;
+        deck.loudness = analysis.loudness ?? null;
+        this.updateFXTiming(deckId);
+
+        if (this.autoGainEnabled && analysis.gain != null) {
+            this.setTrim(deckId, analysis.gain);
+        }
+    }
+
+    /**
+     * Save fields for the track loaded on a deck
+     */
+    saveTrackData(deckId, fields) {
+        const deck = this.decks[deckId];
+        if (!deck.trackKey) return;
+        this.trackStore.update(deck.trackKey, fields);
     }
 
     /**
-     * Set preservesPitch on audio element (with vendor prefixes)
+     * Analyse the loaded track in the background
+     * Emits 'analysisProgress' (deckId, stage, progress) and 'analysisComplete' (deckId, analysis)
+     * @param {Object} [savedGrid] - Grid edits saved for this file on an earlier load
      */
-    setAudioPreservesPitch(audio, preserve) {
-        if ('preservesPitch' in audio) {
-            audio.preservesPitch = preserve;
-        } else if ('mozPreservesPitch' in audio) {
-            audio.mozPreservesPitch = preserve;
-        } else if ('webkitPreservesPitch' in audio) {
-            audio.webkitPreservesPitch = preserve;
+    async analyzeTrack(deckId, savedGrid = null) {
+        const deck = this.decks[deckId];
+        const audioBuffer = deck.audioBuffer;
+
+        // Results for a track that has since been replaced are dropped
+        const isCurrent = () => deck.audioBuffer === audioBuffer;
+
+        let result;
+        try {
+            result = await this.trackAnalyzer.analyze(audioBuffer, (stage, progress) => {
+                if (isCurrent()) this.events.emit('analysisProgress', deckId, stage, progress);
+            });
+        } catch (error) {
+            console.error('Error analysing track:', error);
+            if (isCurrent()) this.events.emit('analysisError', deckId, error);
+            return;
         }
+        if (!isCurrent()) return;
+
+        const analysis = {
+            version: TrackAnalyzer.version,
+            bpm: result.bpm,
+            beatOffset: result.beatOffset,
+            firstDownbeat: result.firstDownbeat,
+            key: result.key,
+            waveformData: result.waveformData,
+            loudness: result.loudness,
+            gain: this.getAutoGain(result.loudness)
+        };
+
+        this.applyAnalysis(deckId, analysis, savedGrid);
+
+        this.events.emit('analysisComplete', deckId, {
+            bpm: deck.bpm,
+            beatOffset: deck.beatGrid.beatOffset,
+            beatGrid: deck.beatGrid,
+            key: deck.key,
+            waveformData: result.waveformData
+        });
+
+        // Cache it so the next load of this file skips analysis (the deck doesn't wait on the write)
+        this.trackStore.update(deck.trackKey, { analysis });
     }
 
     /**
      * Play a deck
      */
-    play(deckId) {
+    play(deckId, immediate = false) {
         const deck = this.decks[deckId];
-        if (!deck.audioElement.src) return;
+        if (!deck.player.loaded) return;
 
         // If already playing, do nothing
         if (deck.isPlaying && !deck.isPaused) return;
 
+        // With quantize on, start on the next beat of the other deck
+        if (!immediate) {
+            this.runQuantized(deckId, () => this.play(deckId, true));
+            return;
+        }
+
         // Resume audio context if suspended
         if (this.audioContext.state === 'suspended') {
             this.audioContext.resume();
         }
 
-        deck.audioElement.play();
+        deck.player.play();
         deck.isPlaying = true;
         deck.isPaused = false;
 
@@ -333,9 +766,12 @@ class AudioEngine {
      */
     pause(deckId) {
         const deck = this.decks[deckId];
+
+        // Also aborts a quantized play still waiting for its beat
+        this.cancelQuantized(deckId);
         if (!deck.isPlaying || deck.isPaused) return;
 
-        deck.audioElement.pause();
+        deck.player.pause();
         deck.isPaused = true;
         this.events.emit('pause', deckId);
     }
@@ -346,21 +782,37 @@ class AudioEngine {
     stop(deckId) {
         const deck = this.decks[deckId];
 
-        deck.audioElement.pause();
-        deck.audioElement.currentTime = deck.cuePoint;
+        deck.player.pause();
+        deck.player.currentTime = deck.cuePoint + this.getPitchLatency(deckId);
 
         deck.isPlaying = false;
         deck.isPaused = false;
+        deck.scratching = false;
+        this.cancelSlip(deckId);
+        this.cancelQuantized(deckId);
 
         this.events.emit('stop', deckId);
     }
 
     /**
-     * Get current playback position in seconds
+     * Get current playback position in seconds (what is heard, i.e. behind the player by the pitch shifter delay)
      */
     getPosition(deckId) {
         const deck = this.decks[deckId];
-        return deck.audioElement.currentTime || 0;
+        if (!deck.player) return 0;
+        return Math.max(0, (deck.player.currentTime || 0) - this.getPitchLatency(deckId));
+    }
+
+    /**
+     * Track time the pitch shifter delays the output by (0 while it is bypassed)
+     * Positions in the engine are audible positions; the player runs this far ahead of them
+     */
+    getPitchLatency(deckId) {
+        const deck = this.decks[deckId];
+        if (!deck.pitchShifter || deck.pitchBypassed) return 0;
+
+        const direction = deck.reverse ? -1 : 1;
+        return deck.pitchLatency * deck.player.playbackRate * direction;
     }
 
     /**
@@ -368,11 +820,11 @@ class AudioEngine {
      */
     seek(deckId, position) {
         const deck = this.decks[deckId];
-        if (!deck.audioElement.src) return;
+        if (!deck.player.loaded) return;
         if (!isFinite(position)) return; // Prevent non-finite values
 
         position = Utils.clamp(position, 0, deck.duration);
-        deck.audioElement.currentTime = position;
+        deck.player.currentTime = position + this.getPitchLatency(deckId);
 
         this.events.emit('seek', deckId, position);
     }
@@ -385,7 +837,8 @@ class AudioEngine {
         tempo = Utils.clamp(tempo, 0.5, 1.5);
 
         deck.tempo = tempo;
-        deck.audioElement.playbackRate = tempo;
+        this.applyPitch(deckId);
+        this.updateFXTiming(deckId);
 
         this.events.emit('tempoChange', deckId, tempo);
     }
@@ -400,151 +853,722 @@ class AudioEngine {
         this.events.emit('volumeChange', deckId, volume);
     }
 
+    /**
+     * Set master gain in dB (-24 to +6)
+     */
+    setMasterVolume(db) {
+        this.masterVolume = Utils.clamp(db, -24, 6);
+        if (this.masterGain) {
+            this.masterGain.gain.setTargetAtTime(Utils.dbToGain(this.masterVolume), this.audioContext.currentTime, 0.01);
+        }
+        this.events.emit('masterVolumeChange', this.masterVolume);
+    }
+
+    /**
+     * Set channel trim in dB (-12 to +12)
+     */
+    setTrim(deckId, db) {
+        const deck = this.decks[deckId];
+        deck.trim = Utils.clamp(db, -12, 12);
+        if (deck.trimGain) {
+            deck.trimGain.gain.setTargetAtTime(Utils.dbToGain(deck.trim), this.audioContext.currentTime, 0.05);
+        }
+        this.events.emit('trimChange', deckId, deck.trim);
+    }
+
+    /**
+     * Trim (dB) that brings a track to the auto gain target (null if the loudness is unknown)
+     */
+    getAutoGain(loudness) {
+        if (loudness == null) return null;
+        return Utils.clamp(this.autoGainTarget - loudness, -12, 12);
+    }
+
+    /**
+     * Enable/disable auto gain; enabling trims the loaded tracks right away
+     */
+    setAutoGain(enabled) {
+        this.autoGainEnabled = enabled;
+
+        if (enabled) {
+            for (const deckId of ['A', 'B']) {
+                const gain = this.getAutoGain(this.decks[deckId].loudness);
+                if (gain != null) this.setTrim(deckId, gain);
+            }
+        }
+
+        this.events.emit('autoGainChange', enabled);
+    }
+
     /**
      * Set EQ band value in dB (-12 to +12)
      */
     setEQ(deckId, band, value) {
         const deck = this.decks[deckId];
-        value = Utils.clamp(value, -12, 12);
+        value = this.eqMode === 'isolator'
+            ? Utils.clamp(value, -Infinity, 6)
+            : Utils.clamp(value, -12, 12);
 
         switch (band) {
             case 'low':
                 deck.eqLowValue = value;
-                deck.eqLow.gain.value = value;
                 break;
             case 'mid':
                 deck.eqMidValue = value;
-                deck.eqMid.gain.value = value;
                 break;
             case 'high':
                 deck.eqHighValue = value;
-                deck.eqHigh.gain.value = value;
                 break;
         }
+        this.applyEQBand(deckId, band);
 
         this.events.emit('eqChange', deckId, band, value);
     }
 
     /**
-     * Set crossfader position (0 = A, 0.5 = center, 1 = B)
+     * Kill (or bring back) an EQ band
      */
-    setCrossfader(position) {
-        this.crossfaderPosition = Utils.clamp(position, 0, 1);
-        this.updateCrossfaderGains();
-        this.events.emit('crossfaderChange', position);
+    setEQKill(deckId, band, killed) {
+        const deck = this.decks[deckId];
+        deck.eqKills[band] = killed;
+        this.applyEQBand(deckId, band);
+        this.events.emit('eqKillChange', deckId, band, killed);
     }
 
     /**
-     * Update deck gains based on crossfader position and individual volumes
+     * Apply a band's value and kill switch to the active EQ
      */
-    updateCrossfaderGains() {
-        const { gainA, gainB } = Utils.crossfadeGains(this.crossfaderPosition);
+    applyEQBand(deckId, band) {
+        const deck = this.decks[deckId];
+        const node = { low: deck.eqLow, mid: deck.eqMid, high: deck.eqHigh }[band];
+        if (!node) return;
 
-        this.decks.A.gainNode.gain.value = this.decks.A.volume * gainA;
-        this.decks.B.gainNode.gain.value = this.decks.B.volume * gainB;
+        const value = deck[`eq${band[0].toUpperCase()}${band.slice(1)}Value`];
+        const killed = deck.eqKills[band];
+
+        if (this.eqMode === 'isolator') {
+            deck.isolator.setBand(band, killed ? -Infinity : value);
+        } else {
+            node.gain.value = killed ? this.eqKillDb : value;
+        }
     }
 
     /**
-     * Set cue point at current position
+     * Feed the EQ biquads or the isolator, depending on eqMode
      */
-    setCuePoint(deckId) {
+    connectEQ(deckId) {
         const deck = this.decks[deckId];
-        deck.cuePoint = this.getPosition(deckId);
-        this.events.emit('cuePointSet', deckId, deck.cuePoint);
+        deck.eqInput.disconnect();
+        deck.eqInput.connect(this.eqMode === 'isolator' ? deck.isolator.input : deck.eqLow);
+
+        for (const band of ['low', 'mid', 'high']) {
+            this.applyEQBand(deckId, band);
+        }
     }
 
     /**
-     * Jump to cue point
+     * Switch between the 3-band EQ and the isolator
+     * Band values keep their knob position, converted to the new mode's curve
+     * @param {string} mode - 'eq' or 'isolator'
      */
-    goToCue(deckId) {
-        const deck = this.decks[deckId];
-        this.seek(deckId, deck.cuePoint);
+    setEQMode(mode) {
+        if (mode !== 'isolator') mode = 'eq';
+        if (mode === this.eqMode) return;
+
+        const positions = {};
+        for (const deckId of ['A', 'B']) {
+            const deck = this.decks[deckId];
+            positions[deckId] = {
+                low: this.eqDbToPosition(deck.eqLowValue),
+                mid: this.eqDbToPosition(deck.eqMidValue),
+                high: this.eqDbToPosition(deck.eqHighValue)
+            };
+        }
+
+        this.eqMode = mode;
+
+        for (const deckId of ['A', 'B']) {
+            for (const band of ['low', 'mid', 'high']) {
+                this.setEQ(deckId, band, this.eqPositionToDb(positions[deckId][band]));
+            }
+            if (this.decks[deckId].eqInput) this.connectEQ(deckId);
+        }
+
+        this.events.emit('eqModeChange', mode);
     }
 
     /**
-     * Set hot cue (1-4)
+     * EQ knob position (-1 to 1, 0 = center) to dB for the current mode
+     * EQ: linear ±12 dB. Isolator: +6 dB at the top; below center the gain falls
+     * with the square of the position, reaching -Infinity (full kill) at -1
      */
-    setHotCue(deckId, index) {
-        const deck = this.decks[deckId];
-        if (index < 1 || index > 8) return;
+    eqPositionToDb(position) {
+        position = Utils.clamp(position, -1, 1);
+        if (this.eqMode !== 'isolator') return position * 12;
+        if (position >= 0) return position * 6;
+        return Utils.gainToDb(Math.pow(1 + position, 2));
+    }
 
-        const position = this.getPosition(deckId);
-        deck.hotCues[index - 1] = position;
-        this.events.emit('hotCueSet', deckId, index, position);
+    /**
+     * Inverse of eqPositionToDb
+     */
+    eqDbToPosition(db) {
+        if (this.eqMode !== 'isolator') return Utils.clamp(db / 12, -1, 1);
+        if (db >= 0) return Utils.clamp(db / 6, 0, 1);
+        return Math.sqrt(Utils.dbToGain(db)) - 1;
     }
 
     /**
-     * Jump to hot cue (1-4)
+     * Set FX amount
+     * filter: -1 (low-pass) to 1 (high-pass), flanger/echo: 0 to 1
      */
-    goToHotCue(deckId, index) {
+    setFX(deckId, effect, value) {
         const deck = this.decks[deckId];
-        if (index < 1 || index > 8) return;
+        if (!deck.fx) return;
 
-        const position = deck.hotCues[index - 1];
-        if (position != null && isFinite(position)) {
-            // Hot cue is set, jump to it
-            this.seek(deckId, position);
-            if (!deck.isPlaying || deck.isPaused) {
-                this.play(deckId);
-            }
-        } else {
-            // If not set, set it
-            this.setHotCue(deckId, index);
+        switch (effect) {
+            case 'filter':
+                value = Utils.clamp(value, -1, 1);
+                deck.fxFilterValue = value;
+                deck.fx.setFilter(value);
+                break;
+            case 'flanger':
+                value = Utils.clamp(value, 0, 1);
+                deck.fxFlangerValue = value;
+                deck.fx.setFlanger(value);
+                break;
+            case 'echo':
+                value = Utils.clamp(value, 0, 1);
+                deck.fxEchoValue = value;
+                deck.fx.setEcho(value);
+                break;
+            default:
+                return;
         }
+
+        this.events.emit('fxChange', deckId, effect, value);
     }
 
     /**
-     * Clear hot cue (1-4)
+     * Set echo delay length in beats (1/4, 1/2, 3/4 or 1)
      */
-    clearHotCue(deckId, index) {
+    setFXEchoBeats(deckId, beats) {
         const deck = this.decks[deckId];
-        if (index < 1 || index > 8) return;
+        if (![0.25, 0.5, 0.75, 1].includes(beats)) return;
 
-        deck.hotCues[index - 1] = null;
-        this.events.emit('hotCueCleared', deckId, index);
+        deck.fxEchoBeats = beats;
+        this.updateFXTiming(deckId);
     }
 
     /**
-     * Set pitch preservation mode
-     * In linked mode: tempo doesn't affect pitch (preservesPitch = true)
-     * In independent mode: tempo affects pitch like vinyl (preservesPitch = false)
+     * Set flanger LFO period in bars (1 bar = 4 beats)
      */
-    setPreservesPitch(deckId, preserve) {
+    setFXFlangerBars(deckId, bars) {
         const deck = this.decks[deckId];
-        deck.preservesPitch = preserve;
-
-        this.setAudioPreservesPitch(deck.audioElement, preserve);
-
-        console.log(`Deck ${deckId}: preservesPitch = ${preserve}`);
+        deck.fxFlangerBars = Utils.clamp(bars, 1, 16);
+        this.updateFXTiming(deckId);
     }
 
     /**
-     * Set pitch shift in semitones (-12 to +12)
-     * Note: With HTML5 Audio, pitch shift requires changing playbackRate
-     * This only works meaningfully in independent mode
+     * Recalculate FX timing from the effective BPM (bpm * tempo)
      */
-    setPitch(deckId, semitones) {
+    updateFXTiming(deckId) {
         const deck = this.decks[deckId];
-        semitones = Utils.clamp(semitones, -12, 12);
-        deck.pitchSemitones = semitones;
+        if (!deck.fx || !deck.bpm || deck.bpm <= 0) return;
 
-        // In independent mode, we can combine tempo and pitch
-        // by adjusting playbackRate
-        // pitchRatio = 2^(semitones/12)
-        if (!deck.preservesPitch) {
-            const pitchRatio = Math.pow(2, semitones / 12);
-            deck.audioElement.playbackRate = deck.tempo * pitchRatio;
-        }
+        const effectiveBpm = deck.bpm * deck.tempo;
+        const secondsPerBeat = 60 / effectiveBpm;
 
-        this.events.emit('pitchChange', deckId, semitones);
+        const echoTime = deck.fxEchoBeats * secondsPerBeat;
+        const flangerPeriod = deck.fxFlangerBars * 4 * secondsPerBeat;
+
+        deck.fx.setEchoTime(echoTime);
+        deck.fx.setFlangerPeriod(flangerPeriod);
+
+        this.events.emit('fxTimingChange', deckId, {
+            echoBeats: deck.fxEchoBeats,
+            echoTime,
+            flangerBars: deck.fxFlangerBars,
+            flangerPeriod
+        });
     }
 
     /**
-     * Sync deck to the other deck's tempo and beat phase
+     * Set crossfader position (0 = A, 0.5 = center, 1 = B)
      */
-    sync(deckId) {
-        const sourceDeck = deckId === 'A' ? this.decks.B : this.decks.A;
-        const targetDeck = this.decks[deckId];
+    setCrossfader(position) {
+        this.crossfaderPosition = Utils.clamp(position, 0, 1);
+        this.updateCrossfaderGains();
+        this.events.emit('crossfaderChange', position);
+    }
+
+    /**
+     * Update deck gains based on crossfader position and individual volumes
+     */
+    updateCrossfaderGains() {
+        const { gainA, gainB } = Utils.crossfadeGains(this.crossfaderPosition);
+
+        this.decks.A.gainNode.gain.value = this.decks.A.volume * gainA;
+        this.decks.B.gainNode.gain.value = this.decks.B.volume * gainB;
+    }
+
+    /**
+     * Enable/disable headphone cue (PFL) for a deck
+     */
+    setPFL(deckId, enabled) {
+        const deck = this.decks[deckId];
+        deck.pfl = enabled;
+        if (deck.cueGain) {
+            deck.cueGain.gain.setTargetAtTime(enabled ? 1 : 0, this.audioContext.currentTime, 0.01);
+        }
+        this.events.emit('pflChange', deckId, enabled);
+    }
+
+    /**
+     * Set the headphone cue/master blend
+     * @param {number} mix - 0 = cue only, 1 = master only
+     */
+    setCueMix(mix) {
+        this.headphones.mix = Utils.clamp(mix, 0, 1);
+        this.updateHeadphoneGains();
+        this.events.emit('headphonesChange', { ...this.headphones });
+    }
+
+    /**
+     * Set the headphone level (0-1)
+     */
+    setHeadphoneLevel(level) {
+        this.headphones.level = Utils.clamp(level, 0, 1);
+        this.updateHeadphoneGains();
+        this.events.emit('headphonesChange', { ...this.headphones });
+    }
+
+    /**
+     * Apply cue mix (equal power, like the crossfader) and level to the headphone bus
+     */
+    updateHeadphoneGains() {
+        if (!this.headphoneGain) return;
+        const { gainA: cueGain, gainB: masterGain } = Utils.crossfadeGains(this.headphones.mix);
+        this.headphoneCueGain.gain.value = cueGain;
+        this.headphoneMasterGain.gain.value = masterGain;
+        this.headphoneGain.gain.value = this.headphones.level;
+    }
+
+    /**
+     * Number of output channels the sound card offers
+     */
+    getMaxOutputChannels() {
+        return this.audioContext?.destination.maxChannelCount || 2;
+    }
+
+    /**
+     * Choose how master and headphones reach the sound card
+     * 'multichannel' needs 4 outputs and falls back to 'split'
+     * @param {string} mode - 'master', 'split' or 'multichannel'
+     * @returns {string} The mode actually in use
+     */
+    setOutputMode(mode) {
+        if (!['master', 'split', 'multichannel'].includes(mode)) mode = 'master';
+        if (mode === 'multichannel' && this.audioContext && this.getMaxOutputChannels() < 4) {
+            console.warn('Sound card has fewer than 4 outputs, using split headphones');
+            mode = 'split';
+        }
+
+        this.outputMode = mode;
+        if (this.audioContext) {
+            this.applyOutputMode();
+        }
+        this.events.emit('outputModeChange', mode);
+        return mode;
+    }
+
+    /**
+     * Rebuild the routing from the master and headphone buses to the destination
+     */
+    applyOutputMode() {
+        const ctx = this.audioContext;
+        const destination = ctx.destination;
+
+        // Remove the previous routing, one connection at a time
+        const previous = this.outputConnections;
+        this.outputConnections = [];
+        previous.forEach(([source, target, output, input]) => source.disconnect(target, output, input));
+        const connect = (source, target, output = 0, input = 0) => {
+            source.connect(target, output, input);
+            this.outputConnections.push([source, target, output, input]);
+        };
+
+        // Sums to mono for the split modes
+        const createMono = () => {
+            const node = ctx.createGain();
+            node.channelCount = 1;
+            node.channelCountMode = 'explicit';
+            node.channelInterpretation = 'speakers';
+            return node;
+        };
+
+        if (this.outputMode === 'multichannel') {
+            destination.channelCount = 4;
+            destination.channelInterpretation = 'discrete';
+
+            const masterSplitter = ctx.createChannelSplitter(2);
+            const headphoneSplitter = ctx.createChannelSplitter(2);
+            const merger = ctx.createChannelMerger(4);
+            connect(this.masterOutput, masterSplitter);
+            connect(this.headphoneGain, headphoneSplitter);
+            connect(masterSplitter, merger, 0, 0);
+            connect(masterSplitter, merger, 1, 1);
+            connect(headphoneSplitter, merger, 0, 2);
+            connect(headphoneSplitter, merger, 1, 3);
+            connect(merger, destination);
+            return;
+        }
+
+        destination.channelCount = 2;
+        destination.channelInterpretation = 'speakers';
+
+        if (this.outputMode === 'split') {
+            const masterMono = createMono();
+            const headphoneMono = createMono();
+            const merger = ctx.createChannelMerger(2);
+            connect(this.masterOutput, masterMono);
+            connect(this.headphoneGain, headphoneMono);
+            connect(masterMono, merger, 0, 0);
+            connect(headphoneMono, merger, 0, 1);
+            connect(merger, destination);
+        } else {
+            connect(this.masterOutput, destination);
+        }
+    }
+
+    /**
+     * Set cue point at current position
+     */
+    setCuePoint(deckId) {
+        const deck = this.decks[deckId];
+        deck.cuePoint = this.getCuePosition(deckId);
+        this.saveTrackData(deckId, { cuePoint: deck.cuePoint });
+        this.events.emit('cuePointSet', deckId, deck.cuePoint);
+    }
+
+    /**
+     * Jump to cue point
+     */
+    goToCue(deckId) {
+        const deck = this.decks[deckId];
+        this.seek(deckId, deck.cuePoint);
+    }
+
+    /**
+     * Set hot cue (1-8)
+     */
+    setHotCue(deckId, index) {
+        const deck = this.decks[deckId];
+        if (index < 1 || index > 8) return;
+
+        const position = this.getCuePosition(deckId);
+        deck.hotCues[index - 1] = {
+            position,
+            color: this.hotCueColors[index - 1],
+            label: '',
+            type: 'cue',
+            length: null    // Loop length in beats (hot loops)
+        };
+        this.saveHotCues(deckId);
+        this.events.emit('hotCueSet', deckId, index, position);
+    }
+
+    /**
+     * Edit a hot cue (label, color, type or position)
+     * @param {Object} fields - Any of { label, color, type, position }
+     */
+    updateHotCue(deckId, index, fields) {
+        const deck = this.decks[deckId];
+        const cue = deck.hotCues[index - 1];
+        if (!cue) return;
+
+        if (fields.label !== undefined) {
+            cue.label = String(fields.label).trim().slice(0, 24);
+        }
+        if (/^#[0-9a-f]{6}$/i.test(fields.color)) {
+            cue.color = fields.color;
+        }
+        if (this.hotCueTypes.includes(fields.type)) {
+            cue.type = fields.type;
+            // A hot loop keeps the loop size it was converted with
+            if (cue.type === 'loop' && !cue.length) {
+                cue.length = deck.loopBeats;
+            }
+        }
+        if (isFinite(fields.position)) {
+            cue.position = Utils.clamp(fields.position, 0, deck.duration);
+        }
+
+        this.saveHotCues(deckId);
+        this.events.emit('hotCueChange', deckId, index, { ...cue });
+    }
+
+    /**
+     * Move a hot cue by a small amount
+     * @param {number} seconds - Negative = earlier
+     */
+    nudgeHotCue(deckId, index, seconds) {
+        const cue = this.decks[deckId].hotCues[index - 1];
+        if (!cue) return;
+        this.updateHotCue(deckId, index, { position: cue.position + seconds });
+    }
+
+    /**
+     * First hot cue of a type (e.g. the 'fade-out' marker), or null
+     */
+    getHotCueOfType(deckId, type) {
+        return this.decks[deckId].hotCues.find(cue => cue?.type === type) || null;
+    }
+
+    /**
+     * Save the hot cues of the loaded track
+     */
+    saveHotCues(deckId) {
+        const deck = this.decks[deckId];
+        this.saveTrackData(deckId, { hotCues: deck.hotCues.map(cue => cue && { ...cue }) });
+    }
+
+    /**
+     * Jump to hot cue (1-8)
+     */
+    goToHotCue(deckId, index) {
+        const deck = this.decks[deckId];
+        if (index < 1 || index > 8) return;
+
+        const cue = deck.hotCues[index - 1];
+        if (cue && isFinite(cue.position)) {
+            // Hot cue is set, jump to it (on the next beat when quantized)
+            this.runQuantized(deckId, () => {
+                if (cue.type === 'loop') {
+                    this.startHotLoop(deckId, cue);
+                } else {
+                    this.seek(deckId, cue.position);
+                }
+                if (!deck.isPlaying || deck.isPaused) {
+                    this.play(deckId, true);
+                }
+            });
+        } else {
+            // If not set, set it
+            this.setHotCue(deckId, index);
+        }
+    }
+
+    /**
+     * Jump to a hot loop and loop its length from there
+     */
+    startHotLoop(deckId, cue) {
+        const deck = this.decks[deckId];
+        this.seek(deckId, cue.position);
+        if (!deck.beatGrid.isValid()) return;
+
+        deck.loopStart = cue.position;
+        deck.loopBeats = cue.length || deck.loopBeats;
+        this.calculateLoopEnd(deckId);
+        deck.loopEnabled = true;
+        this.startSlip(deckId, 'loop');
+
+        this.events.emit('loopEnabled', deckId, deck.loopStart, deck.loopEnd);
+        this.events.emit('loopBeatsChanged', deckId, deck.loopBeats);
+    }
+
+    /**
+     * Momentary hot cue (pad held): in slip mode playback returns on release
+     */
+    holdHotCue(deckId, index) {
+        this.startSlip(deckId, 'hotcue');
+        this.goToHotCue(deckId, index);
+    }
+
+    /**
+     * Release a momentary hot cue
+     */
+    releaseHotCue(deckId) {
+        this.endSlip(deckId, 'hotcue');
+    }
+
+    /**
+     * Clear hot cue (1-8)
+     */
+    clearHotCue(deckId, index) {
+        const deck = this.decks[deckId];
+        if (index < 1 || index > 8) return;
+
+        deck.hotCues[index - 1] = null;
+        this.saveHotCues(deckId);
+        this.events.emit('hotCueCleared', deckId, index);
+    }
+
+    /**
+     * Enable/disable quantize for cues, hot cue jumps and play
+     */
+    setQuantize(enabled) {
+        this.quantizeEnabled = enabled;
+        this.events.emit('quantizeChange', enabled);
+    }
+
+    /**
+     * Set the zoomed waveform window for both decks
+     * @param {number} seconds - Window length (2-64)
+     * @param {string} mode - 'seconds' or 'beats'
+     */
+    setWaveformZoom(seconds, mode = this.waveformZoom.mode) {
+        this.waveformZoom = {
+            seconds: Utils.clamp(seconds, 2, 64),
+            mode: mode === 'beats' ? 'beats' : 'seconds'
+        };
+        this.events.emit('waveformZoomChange', { ...this.waveformZoom });
+    }
+
+    /**
+     * Position for placing a cue: snapped to the beat grid when quantize is on
+     */
+    getCuePosition(deckId) {
+        const position = this.getPosition(deckId);
+        return this.quantizeEnabled ? this.quantizeToNearestBeat(deckId, position) : position;
+    }
+
+    /**
+     * Get real time (seconds) until the next beat of a playing deck
+     * @returns {number|null} Null if the deck is not playing or has no BPM
+     */
+    getTimeToNextBeat(deckId) {
+        const deck = this.decks[deckId];
+        if (!deck.isPlaying || deck.isPaused || !deck.beatGrid.isValid()) return null;
+
+        const position = this.getPosition(deckId);
+        const nextBeatTime = deck.beatGrid.nextBeat(position);
+
+        // Track time -> real time
+        return (nextBeatTime - position) / deck.player.playbackRate;
+    }
+
+    /**
+     * Run an action now, or on the next beat boundary when quantize is on
+     * The reference is the other deck if it's playing, otherwise this deck
+     */
+    runQuantized(deckId, action) {
+        const deck = this.decks[deckId];
+        this.cancelQuantized(deckId);
+
+        const otherDeckId = deckId === 'A' ? 'B' : 'A';
+        const delay = this.quantizeEnabled
+            ? (this.getTimeToNextBeat(otherDeckId) ?? this.getTimeToNextBeat(deckId))
+            : null;
+
+        if (delay === null) {
+            action();
+            return;
+        }
+
+        deck.quantizeTimer = setTimeout(() => {
+            deck.quantizeTimer = null;
+            action();
+        }, delay * 1000);
+    }
+
+    /**
+     * Cancel a pending quantized action
+     */
+    cancelQuantized(deckId) {
+        const deck = this.decks[deckId];
+        if (deck.quantizeTimer) {
+            clearTimeout(deck.quantizeTimer);
+            deck.quantizeTimer = null;
+        }
+    }
+
+    /**
+     * Set pitch preservation mode
+     * In linked mode: tempo doesn't affect pitch (key lock, preservesPitch = true)
+     * In independent mode: tempo affects pitch like vinyl (preservesPitch = false)
+     */
+    setPreservesPitch(deckId, preserve) {
+        const deck = this.decks[deckId];
+        deck.preservesPitch = preserve;
+
+        // With the pitch shifter the element must not stretch on its own
+        deck.player?.setPreservesPitch(preserve && !deck.pitchShifter);
+        this.applyPitch(deckId);
+
+        console.log(`Deck ${deckId}: preservesPitch = ${preserve}`);
+        this.events.emit('preservesPitchChange', deckId, preserve);
+    }
+
+    /**
+     * Set pitch shift in semitones (-12 to +12)
+     * Transposes without changing tempo when the pitch shifter is available
+     */
+    setPitch(deckId, semitones) {
+        const deck = this.decks[deckId];
+        semitones = Utils.clamp(semitones, -12, 12);
+        deck.pitchSemitones = semitones;
+
+        this.applyPitch(deckId);
+
+        this.events.emit('pitchChange', deckId, semitones);
+    }
+
+    /**
+     * Semitones the deck currently sounds away from the original key
+     * (pitch slider, plus the tempo when key lock is off)
+     */
+    getKeyShift(deckId) {
+        const deck = this.decks[deckId];
+        const tempoShift = deck.preservesPitch ? 0 : 12 * Math.log2(deck.tempo);
+        return deck.pitchSemitones + tempoShift;
+    }
+
+    /**
+     * Get the key the deck is currently playing in
+     * @returns {{tonic: number, mode: string, confidence: number}|null}
+     */
+    getKey(deckId) {
+        const deck = this.decks[deckId];
+        if (!deck.key) return null;
+        return KeyDetector.transpose(deck.key, this.getKeyShift(deckId));
+    }
+
+    /**
+     * Apply tempo, key lock and pitch to the player and pitch shifter
+     * With the shifter the rate is always the tempo and the shifter sets the key:
+     * pitch ratio (slider) divided by the tempo when key lock is on
+     * Without it, fall back to preservesPitch and folding the pitch into the rate
+     */
+    applyPitch(deckId) {
+        const deck = this.decks[deckId];
+        if (!deck.player) return;
+
+        const pitchRatio = Math.pow(2, deck.pitchSemitones / 12);
+
+        if (deck.pitchShifter) {
+            deck.player.playbackRate = deck.tempo;
+            const keyLock = deck.preservesPitch ? 1 / deck.tempo : 1;
+            const ratio = pitchRatio * keyLock;
+            const now = this.audioContext.currentTime;
+            deck.pitchShifter.parameters.get('pitchRatio').setTargetAtTime(ratio, now, 0.01);
+
+            // Crossfade to the direct path at ratio 1 (no shifter latency or artifacts)
+            const bypass = Math.abs(ratio - 1) < 1e-4;
+            deck.pitchBypassed = bypass;
+            deck.pitchDirect.gain.setTargetAtTime(bypass ? 1 : 0, now, 0.01);
+            deck.pitchShifted.gain.setTargetAtTime(bypass ? 0 : 1, now, 0.01);
+        } else {
+            deck.player.playbackRate = deck.preservesPitch ? deck.tempo : deck.tempo * pitchRatio;
+        }
+    }
+
+    /**
+     * Sync deck to the other deck's tempo and beat phase
+     */
+    sync(deckId) {
+        const sourceDeck = deckId === 'A' ? this.decks.B : this.decks.A;
+        const targetDeck = this.decks[deckId];
 
         if (!sourceDeck.bpm || !targetDeck.bpm) return;
 
@@ -566,38 +1590,63 @@ class AudioEngine {
         const sourceDeck = deckId === 'A' ? this.decks.B : this.decks.A;
         const targetDeck = this.decks[deckId];
 
-        if (!sourceDeck.bpm || !targetDeck.bpm) return;
+        if (!sourceDeck.beatGrid.isValid() || !targetDeck.beatGrid.isValid()) return;
         if (!sourceDeck.isPlaying) return; // Only align if source is playing
 
-        // Get effective BPMs (after tempo adjustment)
-        const sourceEffectiveBpm = sourceDeck.bpm * sourceDeck.tempo;
-        const targetEffectiveBpm = targetDeck.bpm * targetDeck.tempo;
-
         // Calculate beat phase of source deck (0-1, where in the beat cycle)
         const sourcePosition = this.getPosition(sourceDeck === this.decks.A ? 'A' : 'B');
-        const sourceSecondsPerBeat = 60 / sourceEffectiveBpm;
-        const sourceBeatPhase = (sourcePosition / sourceSecondsPerBeat) % 1;
+        const sourceBeatPhase = sourceDeck.beatGrid.phaseAt(sourcePosition);
 
         // Calculate current beat phase of target deck
         const targetPosition = this.getPosition(deckId);
-        const targetSecondsPerBeat = 60 / targetEffectiveBpm;
-        const targetBeatPhase = (targetPosition / targetSecondsPerBeat) % 1;
+        const targetBeatPhase = targetDeck.beatGrid.phaseAt(targetPosition);
 
         // Calculate phase difference (-0.5 to 0.5)
         let phaseDiff = sourceBeatPhase - targetBeatPhase;
         if (phaseDiff > 0.5) phaseDiff -= 1;
         if (phaseDiff < -0.5) phaseDiff += 1;
 
-        // Convert phase difference to time offset
-        const timeOffset = phaseDiff * targetSecondsPerBeat;
+        // Convert phase difference to time offset (track time of the target deck)
+        const timeOffset = phaseDiff * targetDeck.beatGrid.secondsPerBeat;
 
         // Apply the offset to align beats
         const newPosition = targetPosition + timeOffset;
         if (newPosition >= 0 && newPosition < targetDeck.duration) {
-            targetDeck.audioElement.currentTime = newPosition;
+            targetDeck.player.currentTime = newPosition + this.getPitchLatency(deckId);
         }
     }
 
+    /**
+     * Live phase offset of deck B against deck A (null unless both have a beat grid)
+     * beat/bar: -0.5 to 0.5 of a beat/bar, positive = B ahead
+     * ms: the beat offset in real time at B's effective BPM
+     * bpmDiff: effective BPM of B minus A (non-zero means the decks drift apart)
+     * @returns {{beat: number, bar: number, ms: number, bpmDiff: number}|null}
+     */
+    getPhaseOffset() {
+        const deckA = this.decks.A;
+        const deckB = this.decks.B;
+        if (!deckA.beatGrid.isValid() || !deckB.beatGrid.isValid()) return null;
+
+        const beatA = deckA.beatGrid.beatAt(this.getPosition('A'));
+        const beatB = deckB.beatGrid.beatAt(this.getPosition('B'));
+
+        // Wrap to the nearest whole beat/bar (-0.5 to 0.5)
+        const wrap = (value) => value - Math.round(value);
+        const beat = wrap(beatB - beatA);
+        const bar = wrap(beatB / deckB.beatGrid.beatsPerBar - beatA / deckA.beatGrid.beatsPerBar);
+
+        const bpmA = deckA.beatGrid.bpm * deckA.tempo;
+        const bpmB = deckB.beatGrid.bpm * deckB.tempo;
+
+        return {
+            beat,
+            bar,
+            ms: beat * (60000 / bpmB),
+            bpmDiff: bpmB - bpmA
+        };
+    }
+
     /**
      * Toggle loop on/off
      */
@@ -608,9 +1657,10 @@ class AudioEngine {
             // Disable loop
             deck.loopEnabled = false;
             this.events.emit('loopDisabled', deckId);
+            this.endSlip(deckId, 'loop');
         } else {
             // Enable loop at current position
-            if (!deck.bpm || deck.bpm <= 0) return;
+            if (!deck.beatGrid.isValid()) return;
 
             // Cuantizar al beat más cercano
             const currentPos = this.getPosition(deckId);
@@ -618,20 +1668,294 @@ class AudioEngine {
 
             this.calculateLoopEnd(deckId);
             deck.loopEnabled = true;
+            this.startSlip(deckId, 'loop');
             this.events.emit('loopEnabled', deckId, deck.loopStart, deck.loopEnd);
         }
     }
 
+    /**
+     * Set loop start (IN) at the current position
+     * @param {boolean} quantize - Snap to the nearest beat (defaults to the quantize setting)
+     */
+    setLoopIn(deckId, quantize = this.quantizeEnabled) {
+        const deck = this.decks[deckId];
+        if (!deck.duration) return;
+
+        const position = this.getPosition(deckId);
+        deck.loopStart = quantize ? this.quantizeToNearestBeat(deckId, position) : position;
+        deck.loopInSet = true;
+
+        // An active loop that would end before its new start is dropped
+        if (deck.loopEnabled && deck.loopEnd <= deck.loopStart) {
+            deck.loopEnabled = false;
+            this.events.emit('loopDisabled', deckId);
+            this.endSlip(deckId, 'loop');
+        }
+
+        this.events.emit('loopInSet', deckId, deck.loopStart);
+    }
+
+    /**
+     * Set loop end (OUT) at the current position and start looping
+     * @param {boolean} quantize - Snap to the nearest beat (defaults to the quantize setting)
+     */
+    setLoopOut(deckId, quantize = this.quantizeEnabled) {
+        const deck = this.decks[deckId];
+        if (!deck.duration) return;
+
+        const position = this.getPosition(deckId);
+        const loopEnd = quantize ? this.quantizeToNearestBeat(deckId, position) : position;
+
+        // Without IN (and no active loop to adjust), the loop is the current loop size ending here
+        if (!deck.loopInSet && !deck.loopEnabled) {
+            if (!deck.beatGrid.isValid()) return;
+            deck.loopStart = Math.max(0, loopEnd - deck.loopBeats * deck.beatGrid.secondsPerBeat);
+        }
+        if (loopEnd <= deck.loopStart) return;
+
+        deck.loopEnd = Math.min(loopEnd, deck.duration);
+        deck.loopInSet = false;
+
+        // Keep loopBeats in step with the manual length (used by halve/double)
+        if (deck.beatGrid.isValid()) {
+            deck.loopBeats = (deck.loopEnd - deck.loopStart) / deck.beatGrid.secondsPerBeat;
+            this.events.emit('loopBeatsChanged', deckId, deck.loopBeats);
+        }
+
+        if (!deck.loopEnabled) {
+            deck.loopEnabled = true;
+            this.startSlip(deckId, 'loop');
+        }
+        this.events.emit('loopEnabled', deckId, deck.loopStart, deck.loopEnd);
+    }
+
+    /**
+     * Move the loop window by a number of beats (defaults to one loop length)
+     * If the loop is active, the playhead moves with it
+     */
+    moveLoop(deckId, beats = null) {
+        const deck = this.decks[deckId];
+        if (!deck.beatGrid.isValid() || deck.loopEnd <= deck.loopStart) return;
+
+        const offset = beats !== null
+            ? beats * deck.beatGrid.secondsPerBeat
+            : deck.loopEnd - deck.loopStart;
+        const loopStart = deck.loopStart + offset;
+        const loopEnd = deck.loopEnd + offset;
+        if (loopStart < 0 || loopEnd > deck.duration) return;
+
+        deck.loopStart = loopStart;
+        deck.loopEnd = loopEnd;
+
+        if (deck.loopEnabled) {
+            this.seek(deckId, this.getPosition(deckId) + offset);
+            this.events.emit('loopEnabled', deckId, deck.loopStart, deck.loopEnd);
+        }
+
+        this.events.emit('loopMoved', deckId, deck.loopStart, deck.loopEnd);
+    }
+
+    /**
+     * Reloop: jump back into the last loop and enable it, or exit an active loop
+     */
+    reloop(deckId) {
+        const deck = this.decks[deckId];
+
+        if (deck.loopEnabled) {
+            this.toggleLoop(deckId);
+            return;
+        }
+
+        if (deck.loopEnd <= deck.loopStart) return;
+
+        deck.loopEnabled = true;
+        this.startSlip(deckId, 'loop');
+        this.seek(deckId, deck.loopStart);
+        this.events.emit('loopEnabled', deckId, deck.loopStart, deck.loopEnd);
+    }
+
+    /**
+     * Add the current loop region to the track's saved loops
+     */
+    saveLoop(deckId) {
+        const deck = this.decks[deckId];
+        if (deck.loopEnd <= deck.loopStart) return;
+
+        const { loopStart: start, loopEnd: end, loopBeats: beats } = deck;
+        const exists = deck.savedLoops.some(loop =>
+            Math.abs(loop.start - start) < 0.001 && Math.abs(loop.end - end) < 0.001
+        );
+        if (exists) return;
+
+        deck.savedLoops.push({ start, end, beats });
+        deck.savedLoops.sort((a, b) => a.start - b.start);
+        this.saveSavedLoops(deckId);
+    }
+
+    /**
+     * Jump into a saved loop and enable it
+     */
+    recallLoop(deckId, index) {
+        const deck = this.decks[deckId];
+        const loop = deck.savedLoops[index];
+        if (!loop) return;
+
+        deck.loopStart = loop.start;
+        deck.loopEnd = loop.end;
+        deck.loopBeats = loop.beats;
+        deck.loopEnabled = true;
+        this.startSlip(deckId, 'loop');
+        this.seek(deckId, loop.start);
+
+        this.events.emit('loopEnabled', deckId, deck.loopStart, deck.loopEnd);
+        this.events.emit('loopBeatsChanged', deckId, deck.loopBeats);
+    }
+
+    /**
+     * Remove a saved loop
+     */
+    deleteSavedLoop(deckId, index) {
+        const deck = this.decks[deckId];
+        if (!deck.savedLoops[index]) return;
+
+        deck.savedLoops.splice(index, 1);
+        this.saveSavedLoops(deckId);
+    }
+
+    /**
+     * Save the loop list of the loaded track and notify the UI
+     */
+    saveSavedLoops(deckId) {
+        const deck = this.decks[deckId];
+        this.saveTrackData(deckId, { savedLoops: deck.savedLoops.map(loop => ({ ...loop })) });
+        this.events.emit('savedLoopsChange', deckId, [...deck.savedLoops]);
+    }
+
     /**
      * Quantize a time position to the nearest beat
      */
     quantizeToNearestBeat(deckId, time) {
+        return this.decks[deckId].beatGrid.nearestBeat(time);
+    }
+
+    /**
+     * Get the beat grid of a deck
+     * @returns {BeatGrid}
+     */
+    getBeatGrid(deckId) {
+        return this.decks[deckId].beatGrid;
+    }
+
+    /**
+     * Get bar/beat position of the playhead
+     * @returns {{bar: number, beat: number, phase: number}|null} Null without a grid
+     */
+    getBarPosition(deckId) {
+        const grid = this.decks[deckId].beatGrid;
+        if (!grid.isValid()) return null;
+        return grid.barPosition(this.getPosition(deckId));
+    }
+
+    /**
+     * Replace the beat grid of a deck (grid editing) and save it for the track
+     * @param {number} bpm - Track BPM
+     * @param {number} firstDownbeat - Time of a downbeat in seconds
+     */
+    setBeatGrid(deckId, bpm, firstDownbeat) {
+        const deck = this.decks[deckId];
+        if (!deck.duration || !(bpm > 0)) return;
+
+        const beatsPerBar = deck.beatGrid.beatsPerBar;
+        deck.beatGrid = new BeatGrid(Utils.clamp(bpm, 20, 300), firstDownbeat, beatsPerBar);
+        deck.bpm = deck.beatGrid.bpm;
+        this.updateFXTiming(deckId);
+
+        this.saveTrackData(deckId, { beatGrid: deck.beatGrid.toJSON() });
+        this.events.emit('beatGridChange', deckId, deck.beatGrid);
+    }
+
+    /**
+     * Shift the grid left/right
+     * @param {number} seconds - Negative = earlier
+     */
+    shiftBeatGrid(deckId, seconds) {
+        const grid = this.decks[deckId].beatGrid;
+        if (!grid.isValid()) return;
+        this.setBeatGrid(deckId, grid.bpm, grid.firstDownbeat + seconds);
+    }
+
+    /**
+     * Make the current position (or a given time) beat 1 of a bar
+     */
+    setDownbeat(deckId, time = this.getPosition(deckId)) {
+        const grid = this.decks[deckId].beatGrid;
+        if (!grid.isValid()) return;
+        this.setBeatGrid(deckId, grid.bpm, time);
+    }
+
+    /**
+     * Multiply the grid BPM (2 = double, 0.5 = half), keeping the downbeat in place
+     */
+    scaleBeatGrid(deckId, factor) {
+        const grid = this.decks[deckId].beatGrid;
+        if (!grid.isValid()) return;
+        this.setBeatGrid(deckId, grid.bpm * factor, grid.firstDownbeat);
+    }
+
+    /**
+     * Set an exact BPM, keeping the downbeat in place
+     */
+    setTrackBPM(deckId, bpm) {
+        this.setBeatGrid(deckId, bpm, this.decks[deckId].beatGrid.firstDownbeat);
+    }
+
+    /**
+     * Tap tempo: estimate BPM from tap intervals and overwrite the grid
+     * The last tap becomes a beat of the grid, keeping its place in the bar
+     * @returns {number|null} Track BPM once enough taps are in, null otherwise
+     */
+    tapTempo(deckId) {
         const deck = this.decks[deckId];
-        if (!deck.bpm || deck.bpm <= 0) return time;
+        if (!deck.duration) return null;
+
+        const now = performance.now() / 1000;
+        const last = deck.taps[deck.taps.length - 1];
+
+        // A long pause starts a new tap sequence
+        if (last && now - last.time > 2) {
+            deck.taps = [];
+        }
+
+        const playing = deck.isPlaying && !deck.isPaused;
+        deck.taps.push({ time: now, position: playing ? this.getPosition(deckId) : null });
+        if (deck.taps.length > 8) deck.taps.shift();
 
-        const secondsPerBeat = 60 / deck.bpm;
-        const beatNumber = Math.round(time / secondsPerBeat);
-        return beatNumber * secondsPerBeat;
+        // Need at least 3 intervals for a usable average
+        if (deck.taps.length < 4) {
+            this.events.emit('tapTempo', deckId, null, deck.taps.length);
+            return null;
+        }
+
+        // Taps follow what we hear, so convert from effective BPM to track BPM
+        const first = deck.taps[0];
+        const tap = deck.taps[deck.taps.length - 1];
+        const interval = (tap.time - first.time) / (deck.taps.length - 1);
+        const rate = deck.player.playbackRate || 1;
+        const bpm = Math.round((60 / interval / rate) * 100) / 100;
+
+        let firstDownbeat = deck.beatGrid.firstDownbeat;
+        if (tap.position !== null) {
+            // Keep the tapped beat in the same bar position it had on the old grid
+            const grid = deck.beatGrid;
+            const beatInBar = grid.isValid()
+                ? ((Math.round(grid.beatAt(tap.position)) % grid.beatsPerBar) + grid.beatsPerBar) % grid.beatsPerBar
+                : 0;
+            firstDownbeat = tap.position - beatInBar * (60 / bpm);
+        }
+
+        this.setBeatGrid(deckId, bpm, firstDownbeat);
+        this.events.emit('tapTempo', deckId, deck.bpm, deck.taps.length);
+        return deck.bpm;
     }
 
     /**
@@ -639,13 +1963,11 @@ class AudioEngine {
      */
     calculateLoopEnd(deckId) {
         const deck = this.decks[deckId];
-        if (!deck.bpm || deck.bpm <= 0) return;
+        const grid = deck.beatGrid;
+        if (!grid.isValid()) return;
 
-        // seconds per beat = 60 / bpm
-        // loop duration = beats * (60 / bpm)
-        const secondsPerBeat = 60 / deck.bpm;
-        const loopDuration = deck.loopBeats * secondsPerBeat;
-        deck.loopEnd = deck.loopStart + loopDuration;
+        // Loop end = loopBeats further along the grid
+        deck.loopEnd = grid.timeAt(grid.beatAt(deck.loopStart) + deck.loopBeats);
 
         // Make sure loopEnd doesn't exceed track duration
         if (deck.loopEnd > deck.duration) {
@@ -698,6 +2020,294 @@ class AudioEngine {
         }
     }
 
+    /**
+     * Move the playhead by a number of beats (negative = backward)
+     */
+    beatJump(deckId, beats) {
+        const deck = this.decks[deckId];
+        if (!deck.beatGrid.isValid()) return;
+
+        // Move by whole beats of the grid (position + beats * seconds per beat)
+        const grid = deck.beatGrid;
+        const currentPosition = this.getPosition(deckId);
+        const position = grid.timeAt(grid.beatAt(currentPosition) + beats);
+        if (position < 0 || position > deck.duration) return;
+
+        const offset = position - currentPosition;
+
+        // Move the whole loop window along with the playhead
+        if (deck.loopEnabled) {
+            const loopStart = deck.loopStart + offset;
+            const loopEnd = deck.loopEnd + offset;
+            if (loopStart < 0 || loopEnd > deck.duration) return;
+
+            deck.loopStart = loopStart;
+            deck.loopEnd = loopEnd;
+            this.events.emit('loopEnabled', deckId, deck.loopStart, deck.loopEnd);
+        }
+
+        this.seek(deckId, position);
+        this.events.emit('beatJump', deckId, beats);
+    }
+
+    /**
+     * Jump backward/forward by the deck's selected jump size
+     * @param {number} direction - -1 = backward, 1 = forward
+     */
+    beatJumpBySize(deckId, direction) {
+        const deck = this.decks[deckId];
+        this.beatJump(deckId, direction * deck.jumpBeats);
+    }
+
+    /**
+     * Set beat jump size in beats (1 to 64)
+     */
+    setJumpBeats(deckId, beats) {
+        const deck = this.decks[deckId];
+        deck.jumpBeats = Utils.clamp(beats, 1, 64);
+        this.events.emit('jumpBeatsChanged', deckId, deck.jumpBeats);
+    }
+
+    /**
+     * Start a loop roll of the given length (while a pad is held)
+     */
+    startLoopRoll(deckId, beats) {
+        const deck = this.decks[deckId];
+        if (!deck.beatGrid.isValid()) return;
+
+        // Save the current loop so it can be restored when the roll ends
+        if (!deck.rollSavedLoop) {
+            this.startSlip(deckId, 'roll');
+            deck.rollSavedLoop = {
+                enabled: deck.loopEnabled,
+                start: deck.loopStart,
+                end: deck.loopEnd,
+                beats: deck.loopBeats
+            };
+        }
+
+        // Start the roll on the roll-size grid just behind the playhead
+        const grid = deck.beatGrid;
+        const rollBeat = Math.floor(grid.beatAt(this.getPosition(deckId)) / beats) * beats;
+        deck.loopStart = Math.max(0, grid.timeAt(rollBeat));
+        deck.loopBeats = beats;
+        this.calculateLoopEnd(deckId);
+        deck.loopEnabled = true;
+
+        this.events.emit('loopEnabled', deckId, deck.loopStart, deck.loopEnd);
+        this.events.emit('loopRollStart', deckId, beats);
+    }
+
+    /**
+     * End the loop roll and restore the previous loop state
+     */
+    endLoopRoll(deckId) {
+        const deck = this.decks[deckId];
+        const saved = deck.rollSavedLoop;
+        if (!saved) return;
+
+        deck.rollSavedLoop = null;
+        deck.loopStart = saved.start;
+        deck.loopEnd = saved.end;
+        deck.loopBeats = saved.beats;
+        deck.loopEnabled = saved.enabled;
+
+        if (deck.loopEnabled) {
+            this.events.emit('loopEnabled', deckId, deck.loopStart, deck.loopEnd);
+        } else {
+            this.events.emit('loopDisabled', deckId);
+        }
+        this.events.emit('loopRollEnd', deckId);
+        this.endSlip(deckId, 'roll');
+    }
+
+    /**
+     * Enable/disable slip mode
+     */
+    setSlip(deckId, enabled) {
+        const deck = this.decks[deckId];
+        deck.slipEnabled = enabled;
+
+        if (!enabled) {
+            this.cancelSlip(deckId);
+        }
+
+        this.events.emit('slipChange', deckId, enabled);
+    }
+
+    /**
+     * Start running the shadow playhead (slip mode only)
+     * @param {string} reason - What holds the slip ('loop', 'roll', 'hotcue', 'scratch', 'reverse')
+     */
+    startSlip(deckId, reason) {
+        const deck = this.decks[deckId];
+        if (!deck.slipEnabled || !deck.isPlaying || deck.isPaused) return;
+
+        if (deck.slipHolds.size === 0) {
+            deck.slipPosition = this.getPosition(deckId);
+            deck.slipLastTime = this.audioContext.currentTime;
+            this.events.emit('slipStart', deckId, deck.slipPosition);
+        }
+        deck.slipHolds.add(reason);
+    }
+
+    /**
+     * Release a slip hold; when nothing holds it anymore, snap back to the shadow playhead
+     */
+    endSlip(deckId, reason) {
+        const deck = this.decks[deckId];
+        if (!deck.slipHolds.has(reason)) return;
+
+        this.updateSlipPosition(deckId);
+        deck.slipHolds.delete(reason);
+
+        if (deck.slipHolds.size === 0) {
+            this.seek(deckId, deck.slipPosition);
+            this.events.emit('slipEnd', deckId, deck.slipPosition);
+        }
+    }
+
+    /**
+     * Drop all slip holds without moving the playhead
+     */
+    cancelSlip(deckId) {
+        const deck = this.decks[deckId];
+        if (deck.slipHolds.size === 0) return;
+
+        deck.slipHolds.clear();
+        this.events.emit('slipEnd', deckId, null);
+    }
+
+    /**
+     * Advance the shadow playhead as if the track kept playing
+     */
+    updateSlipPosition(deckId) {
+        const deck = this.decks[deckId];
+        if (deck.slipHolds.size === 0) return;
+
+        const now = this.audioContext.currentTime;
+        const elapsed = now - deck.slipLastTime;
+        deck.slipLastTime = now;
+
+        if ((deck.isPlaying && !deck.isPaused) || deck.scratching) {
+            deck.slipPosition = Math.min(
+                deck.slipPosition + elapsed * deck.player.playbackRate,
+                deck.duration
+            );
+        }
+    }
+
+    /**
+     * Get the shadow playhead position (null when not slipping)
+     */
+    getSlipPosition(deckId) {
+        const deck = this.decks[deckId];
+        return deck.slipHolds.size > 0 ? deck.slipPosition : null;
+    }
+
+    /**
+     * Start a platter scratch on a playing deck in slip mode
+     * The audio is held while the shadow playhead keeps running
+     */
+    startScratch(deckId) {
+        const deck = this.decks[deckId];
+        if (!deck.slipEnabled || !deck.isPlaying || deck.isPaused) return false;
+
+        this.startSlip(deckId, 'scratch');
+        deck.scratching = true;
+        deck.player.pause();
+        return true;
+    }
+
+    /**
+     * End a slip scratch: jump to where the track would have been and keep playing
+     */
+    endScratch(deckId) {
+        const deck = this.decks[deckId];
+        if (!deck.scratching) return;
+
+        this.endSlip(deckId, 'scratch');
+        deck.scratching = false;
+        deck.player.play();
+    }
+
+    /**
+     * Play backwards (reverse); in slip mode the track keeps running forwards underneath
+     * and picks up there when reverse is released
+     */
+    setReverse(deckId, enabled) {
+        const deck = this.decks[deckId];
+        if (enabled === deck.reverse) return;
+        if (enabled && !deck.audioBuffer) return;
+
+        if (enabled) this.startSlip(deckId, 'reverse');
+        deck.reverse = enabled;
+        deck.player.setReverse(enabled, deck.audioBuffer);
+        if (!enabled) this.endSlip(deckId, 'reverse');
+
+        this.events.emit('reverseChange', deckId, enabled);
+    }
+
+    /**
+     * Capture a slice of the loaded track into a sampler slot (1-8)
+     * Length is given in beats (falls back to 2 seconds per 4 beats without BPM)
+     */
+    captureSample(deckId, slot, beats = 4) {
+        const deck = this.decks[deckId];
+        if (slot < 1 || slot > 8 || !deck.audioBuffer) return;
+
+        const buffer = deck.audioBuffer;
+        const secondsPerBeat = deck.beatGrid.isValid() ? deck.beatGrid.secondsPerBeat : 0.5;
+        const start = this.quantizeToNearestBeat(deckId, this.getPosition(deckId));
+        const startSample = Math.floor(Math.max(0, start) * buffer.sampleRate);
+        const length = Math.min(
+            Math.floor(beats * secondsPerBeat * buffer.sampleRate),
+            buffer.length - startSample
+        );
+        if (length <= 0) return;
+
+        const sample = this.audioContext.createBuffer(buffer.numberOfChannels, length, buffer.sampleRate);
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            sample.copyToChannel(buffer.getChannelData(channel).subarray(startSample, startSample + length), channel);
+        }
+
+        deck.samples[slot - 1] = sample;
+        this.events.emit('sampleCaptured', deckId, slot, sample.duration);
+    }
+
+    /**
+     * Play a sampler slot (1-8) through the deck's channel
+     */
+    playSample(deckId, slot) {
+        const deck = this.decks[deckId];
+        const sample = deck.samples[slot - 1];
+        if (!sample) return;
+
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+
+        const source = this.audioContext.createBufferSource();
+        source.buffer = sample;
+        source.playbackRate.value = deck.tempo;
+        source.connect(deck.eqInput);
+        source.onended = () => source.disconnect();
+        source.start();
+
+        this.events.emit('samplePlayed', deckId, slot);
+    }
+
+    /**
+     * Clear a sampler slot (1-8)
+     */
+    clearSample(deckId, slot) {
+        const deck = this.decks[deckId];
+        if (slot < 1 || slot > 8) return;
+
+        deck.samples[slot - 1] = null;
+        this.events.emit('sampleCleared', deckId, slot);
+    }
+
     /**
      * Get volume level from analyser (for metering)
      */
@@ -717,6 +2327,36 @@ class AudioEngine {
         return sum / dataArray.length / 255;
     }
 
+    /**
+     * Master peak and RMS per channel in dBFS, plus limiter gain reduction
+     * clip means the peak reached the ceiling, i.e. the hard clip stage was cutting
+     * @returns {{left: Object, right: Object, reduction: number}|null}
+     */
+    getMasterLevels() {
+        if (!this.masterAnalysers) return null;
+
+        const data = this.masterMeterData;
+        const [left, right] = this.masterAnalysers.map(analyser => {
+            analyser.getFloatTimeDomainData(data);
+
+            let peak = 0;
+            let sum = 0;
+            for (let i = 0; i < data.length; i++) {
+                const sample = Math.abs(data[i]);
+                if (sample > peak) peak = sample;
+                sum += sample * sample;
+            }
+
+            return {
+                peak: Utils.gainToDb(peak),
+                rms: Utils.gainToDb(Math.sqrt(sum / data.length)),
+                clip: peak >= Utils.dbToGain(this.masterCeiling)
+            };
+        });
+
+        return { left, right, reduction: this.masterLimiter.reduction };
+    }
+
     /**
      * Start position update loop
      */
@@ -726,12 +2366,22 @@ class AudioEngine {
         this.positionLoop = Utils.createAnimationLoop((time, deltaTime) => {
             for (const deckId of ['A', 'B']) {
                 const deck = this.decks[deckId];
+                if (deck.slipHolds.size > 0) {
+                    this.updateSlipPosition(deckId);
+                    this.events.emit('slipPositionUpdate', deckId, deck.slipPosition);
+                }
+
                 if (deck.isPlaying && !deck.isPaused) {
                     const position = this.getPosition(deckId);
 
-                    // Loop wrap: jump back to start when reaching end
-                    if (deck.loopEnabled && position >= deck.loopEnd) {
-                        deck.audioElement.currentTime = deck.loopStart;
+                    // Loop wrap: jump back to start when reaching end (to the end before the start in reverse)
+                    // (buffer players wrap sample-accurately on their own)
+                    if (!deck.player.handlesLoop && deck.loopEnabled) {
+                        if (deck.reverse && position <= deck.loopStart) {
+                            deck.player.currentTime = deck.loopEnd + this.getPitchLatency(deckId);
+                        } else if (!deck.reverse && position >= deck.loopEnd) {
+                            deck.player.currentTime = deck.loopStart + this.getPitchLatency(deckId);
+                        }
                     }
 
                     this.events.emit('positionUpdate', deckId, position, deck.duration);
@@ -741,6 +2391,12 @@ class AudioEngine {
                 const level = this.getVolumeLevel(deckId);
                 this.events.emit('volumeLevel', deckId, level);
             }
+
+            // Master meters
+            this.events.emit('masterLevel', this.getMasterLevels());
+
+            // Phase between the decks (phase meter)
+            this.events.emit('phaseUpdate', this.getPhaseOffset());
         }, 30); // 30 FPS for UI updates
 
         this.positionLoop.start();
@@ -768,10 +2424,14 @@ class AudioEngine {
             duration: deck.duration,
             tempo: deck.tempo,
             volume: deck.volume,
+            trim: deck.trim,
+            loudness: deck.loudness,
             bpm: deck.bpm,
+            barPosition: this.getBarPosition(deckId),
             trackName: deck.trackName,
             cuePoint: deck.cuePoint,
-            hotCues: [...deck.hotCues]
+            hotCues: deck.hotCues.map(cue => cue && { ...cue }),
+            savedLoops: [...deck.savedLoops]
         };
     }
 
@@ -60,10 +60,12 @@ class AutoMixer {
         // Only check if this deck is playing
         if (!deck.isPlaying || deck.isPaused) return;
 
-        // Check if we're approaching the end
+        // Mix at the track's fade-out cue, or when approaching the end
         const timeRemaining = duration - position;
+        const fadeOut = this.audioEngine.getHotCueOfType(deckId, 'fade-out');
+        const mixPoint = fadeOut ? fadeOut.position : duration - this.fadeTime;
 
-        if (timeRemaining <= this.fadeTime && timeRemaining > 0) {
+        if (position >= mixPoint && timeRemaining > 0) {
             // Check if the other deck is ready
             const otherDeckId = deckId === 'A' ? 'B' : 'A';
             const otherDeck = this.audioEngine.decks[otherDeckId];
@@ -102,6 +104,12 @@ class AutoMixer {
         this.audioEngine.setVolume(toDeckId, 0);
         this.updateVolumeSlider(toDeckId, 0);
 
+        // Start the incoming deck from its fade-in cue if it has one
+        const fadeIn = this.audioEngine.getHotCueOfType(toDeckId, 'fade-in');
+        if (fadeIn) {
+            this.audioEngine.seek(toDeckId, fadeIn.position);
+        }
+
         // Sync and play the incoming deck
         this.audioEngine.sync(toDeckId);
         this.audioEngine.play(toDeckId);
@@ -0,0 +1,143 @@
+/**
+ * DJ Mix Web - Beat Grid
+ * Per-deck grid model: BPM + first downbeat, in track time (seconds)
+ * Every beat-based calculation (quantize, sync, loops, jumps, grid drawing) goes through it
+ */
+
+class BeatGrid {
+    /**
+     * @param {number} bpm - Track BPM (0 = no grid)
+     * @param {number} firstDownbeat - Time of a bar's first beat in seconds
+     * @param {number} beatsPerBar - Beats per bar
+     */
+    constructor(bpm = 0, firstDownbeat = 0, beatsPerBar = 4) {
+        this.bpm = bpm;
+        this.firstDownbeat = firstDownbeat;
+        this.beatsPerBar = beatsPerBar;
+    }
+
+    /**
+     * Whether the grid has a usable BPM
+     */
+    isValid() {
+        return this.bpm > 0;
+    }
+
+    /**
+     * Length of one beat in track seconds
+     */
+    get secondsPerBeat() {
+        return 60 / this.bpm;
+    }
+
+    /**
+     * Time of the first beat in the track (0 to one beat)
+     */
+    get beatOffset() {
+        if (!this.isValid()) return 0;
+        const secondsPerBeat = this.secondsPerBeat;
+        return ((this.firstDownbeat % secondsPerBeat) + secondsPerBeat) % secondsPerBeat;
+    }
+
+    /**
+     * Beat number at a time (fractional, 0 = first downbeat)
+     */
+    beatAt(time) {
+        if (!this.isValid()) return 0;
+        return (time - this.firstDownbeat) / this.secondsPerBeat;
+    }
+
+    /**
+     * Time of a beat number (fractional beats allowed)
+     */
+    timeAt(beat) {
+        return this.firstDownbeat + beat * this.secondsPerBeat;
+    }
+
+    /**
+     * Position inside the current beat (0 to 1)
+     */
+    phaseAt(time) {
+        const beat = this.beatAt(time);
+        return beat - Math.floor(beat);
+    }
+
+    /**
+     * Snap a time to the nearest beat
+     */
+    nearestBeat(time) {
+        if (!this.isValid()) return time;
+        return this.timeAt(Math.round(this.beatAt(time)));
+    }
+
+    /**
+     * Time of the next beat at or after a time
+     */
+    nextBeat(time) {
+        if (!this.isValid()) return time;
+        return this.timeAt(Math.ceil(this.beatAt(time)));
+    }
+
+    /**
+     * Bar and beat at a time
+     * @returns {{bar: number, beat: number, phase: number}} bar and beat are 1-based
+     */
+    barPosition(time) {
+        const beatNumber = Math.floor(this.beatAt(time));
+        const beatInBar = ((beatNumber % this.beatsPerBar) + this.beatsPerBar) % this.beatsPerBar;
+
+        return {
+            bar: Math.floor(beatNumber / this.beatsPerBar) + 1,
+            beat: beatInBar + 1,
+            phase: this.phaseAt(time)
+        };
+    }
+
+    /**
+     * Whether a beat number starts a bar
+     */
+    isDownbeat(beat) {
+        return ((beat % this.beatsPerBar) + this.beatsPerBar) % this.beatsPerBar === 0;
+    }
+
+    /**
+     * List the beats inside a time range
+     * @returns {Array<{time: number, beat: number, downbeat: boolean}>}
+     */
+    beatsInRange(startTime, endTime) {
+        if (!this.isValid()) return [];
+
+        const beats = [];
+        const first = Math.ceil(this.beatAt(startTime));
+        const last = Math.floor(this.beatAt(endTime));
+
+        for (let beat = first; beat <= last; beat++) {
+            beats.push({ time: this.timeAt(beat), beat, downbeat: this.isDownbeat(beat) });
+        }
+
+        return beats;
+    }
+
+    /**
+     * Plain copy for events and storage
+     */
+    toJSON() {
+        return {
+            bpm: this.bpm,
+            firstDownbeat: this.firstDownbeat,
+            beatsPerBar: this.beatsPerBar
+        };
+    }
+
+    /**
+     * Create a grid from a plain object
+     */
+    static fromJSON(data) {
+        return new BeatGrid(data?.bpm || 0, data?.firstDownbeat || 0, data?.beatsPerBar || 4);
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BeatGrid;
+}
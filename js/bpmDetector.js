@@ -12,9 +12,9 @@ class BPMDetector {
     }
 
     /**
-     * Detect BPM and beat offset from audio buffer
+     * Detect BPM, beat offset and first downbeat from audio buffer
      * @param {AudioBuffer} audioBuffer
-     * @returns {Promise<{bpm: number, beatOffset: number}>} Detected BPM and beat offset
+     * @returns {Promise<{bpm: number, beatOffset: number, firstDownbeat: number}>} Detected BPM and grid anchors
      */
     async detect(audioBuffer) {
         return new Promise((resolve) => {
@@ -30,9 +30,14 @@ class BPMDetector {
             // Detect beat offset (first beat position)
             const beatOffset = this.detectBeatOffset(channelData, audioBuffer.sampleRate, bpm);
 
+            // Detect which beat of the bar is the downbeat
+            const frameRate = audioBuffer.sampleRate / Math.floor(audioBuffer.sampleRate / 200);
+            const firstDownbeat = this.detectDownbeat(envelope, frameRate, bpm, beatOffset);
+
             resolve({
                 bpm: Math.round(bpm * 10) / 10,
-                beatOffset
+                beatOffset,
+                firstDownbeat
             });
         });
     }
@@ -73,6 +78,35 @@ class BPMDetector {
         return 0; // Default: beat at t=0
     }
 
+    /**
+     * Detect the first downbeat: the bar phase whose beats carry the most onset energy
+     * @param {Float32Array} envelope - Onset envelope
+     * @param {number} frameRate - Envelope frames per second
+     * @param {number} bpm - Detected BPM
+     * @param {number} beatOffset - Time of first beat in seconds
+     * @param {number} beatsPerBar - Beats per bar
+     * @returns {number} Time of the first downbeat in seconds
+     */
+    detectDownbeat(envelope, frameRate, bpm, beatOffset, beatsPerBar = 4) {
+        const secondsPerBeat = 60 / bpm;
+        const scores = new Array(beatsPerBar).fill(0);
+
+        for (let beat = 0; ; beat++) {
+            const frame = Math.round((beatOffset + beat * secondsPerBeat) * frameRate);
+            if (frame >= envelope.length) break;
+
+            // Strongest onset within +-2 frames (10ms) of the grid beat
+            let strength = 0;
+            for (let i = Math.max(0, frame - 2); i <= Math.min(envelope.length - 1, frame + 2); i++) {
+                if (envelope[i] > strength) strength = envelope[i];
+            }
+            scores[beat % beatsPerBar] += strength;
+        }
+
+        const bestPhase = scores.indexOf(Math.max(...scores));
+        return beatOffset + bestPhase * secondsPerBeat;
+    }
+
     /**
      * Mix all channels to mono
      */
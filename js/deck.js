@@ -19,10 +19,21 @@ class DeckController {
         // Platter controller
         this.platter = null;
 
+        // Pad controller
+        this.pads = null;
+
+        // FX knob instances
+        this.knobs = {};
+
         // State
         this.waveformData = null;
         this.duration = 0;
         this.deleteMode = false;
+        this.gridEditMode = false;
+        this.tapFlashTimer = null;
+        this.waveformDrag = null;   // Scrub/nudge in progress on the zoomed waveform
+        this.cueEditMode = false;
+        this.editingCue = null;   // Hot cue (1-8) selected in the cue editor
 
         // Initialize
         this.init();
@@ -37,6 +48,7 @@ class DeckController {
             // Track info
             trackName: document.getElementById(`trackName${id}`),
             trackBpm: document.getElementById(`trackBpm${id}`),
+            trackKey: document.getElementById(`trackKey${id}`),
 
             // Waveforms
             miniWaveformCanvas: document.getElementById(`waveform${id}`),
@@ -78,10 +90,51 @@ class DeckController {
             ],
             delBtn: document.getElementById(`del${id}`),
 
+            // Hot cue editor
+            cueEditBtn: document.getElementById(`cueEdit${id}`),
+            cueEditIndex: document.getElementById(`cueEditIndex${id}`),
+            cueLabelInput: document.getElementById(`cueLabel${id}`),
+            cueColorInput: document.getElementById(`cueColor${id}`),
+            cueTypeSelect: document.getElementById(`cueType${id}`),
+            cueNudgeLeftBtn: document.getElementById(`cueNudgeLeft${id}`),
+            cueNudgeRightBtn: document.getElementById(`cueNudgeRight${id}`),
+
+            // FX knobs
+            fxFilter: document.getElementById(`fxFilter${id}`),
+            fxFlanger: document.getElementById(`fxFlanger${id}`),
+            fxEcho: document.getElementById(`fxEcho${id}`),
+            fxEchoBeatsBtn: document.getElementById(`fxEchoBeats${id}`),
+            fxFlangerBarsBtn: document.getElementById(`fxFlangerBars${id}`),
+
             // Loop controls
             loopHalveBtn: document.getElementById(`loopHalve${id}`),
             loopToggleBtn: document.getElementById(`loopToggle${id}`),
-            loopDoubleBtn: document.getElementById(`loopDouble${id}`)
+            loopDoubleBtn: document.getElementById(`loopDouble${id}`),
+            slipBtn: document.getElementById(`slip${id}`),
+            reverseBtn: document.getElementById(`reverse${id}`),
+            loopInBtn: document.getElementById(`loopIn${id}`),
+            loopOutBtn: document.getElementById(`loopOut${id}`),
+            loopMoveBackBtn: document.getElementById(`loopMoveBack${id}`),
+            loopMoveForwardBtn: document.getElementById(`loopMoveForward${id}`),
+            reloopBtn: document.getElementById(`reloop${id}`),
+            loopSaveBtn: document.getElementById(`loopSave${id}`),
+            savedLoops: document.getElementById(`savedLoops${id}`),
+
+            // Beat jump controls
+            jumpBackBtn: document.getElementById(`jumpBack${id}`),
+            jumpForwardBtn: document.getElementById(`jumpForward${id}`),
+            jumpSizeSelect: document.getElementById(`jumpSize${id}`),
+
+            // Beat grid editor
+            gridControls: document.getElementById(`gridControls${id}`),
+            gridEditBtn: document.getElementById(`gridEdit${id}`),
+            gridBpmInput: document.getElementById(`gridBpm${id}`),
+            gridShiftLeftBtn: document.getElementById(`gridShiftLeft${id}`),
+            gridShiftRightBtn: document.getElementById(`gridShiftRight${id}`),
+            gridDownbeatBtn: document.getElementById(`gridDownbeat${id}`),
+            gridHalfBtn: document.getElementById(`gridHalf${id}`),
+            gridDoubleBtn: document.getElementById(`gridDouble${id}`),
+            tapBtn: document.getElementById(`tap${id}`)
         };
     }
 
@@ -90,9 +143,11 @@ class DeckController {
      */
     init() {
         this.setupWaveforms();
+        this.setupFXKnobs();
         this.setupEventListeners();
         this.setupAudioEngineListeners();
         this.setupPlatter();
+        this.setupPads();
     }
 
     /**
@@ -102,6 +157,13 @@ class DeckController {
         this.platter = new PlatterController(this.deckId, this.audioEngine);
     }
 
+    /**
+     * Setup performance pads
+     */
+    setupPads() {
+        this.pads = new PadController(this.deckId, this.audioEngine, this);
+    }
+
     /**
      * Setup waveform visualizers
      */
@@ -109,11 +171,13 @@ class DeckController {
         const colors = this.deckId === 'A' ? {
             colorTop: 'rgba(0, 212, 255, 0.9)',
             colorBottom: 'rgba(0, 150, 200, 0.7)',
-            playedColor: 'rgba(0, 212, 255, 0.4)'
+            playedColor: 'rgba(0, 212, 255, 0.4)',
+            loopColor: 'rgba(0, 212, 255, 0.2)'
         } : {
             colorTop: 'rgba(255, 107, 53, 0.9)',
             colorBottom: 'rgba(200, 80, 40, 0.7)',
-            playedColor: 'rgba(255, 107, 53, 0.4)'
+            playedColor: 'rgba(255, 107, 53, 0.4)',
+            loopColor: 'rgba(255, 107, 53, 0.2)'
         };
 
         // Mini waveform
@@ -124,11 +188,195 @@ class DeckController {
             barGap: 1
         });
 
-        // Zoomed waveform
+        // Zoomed waveform (zoom level shared by both decks)
+        const zoom = this.audioEngine.waveformZoom;
         this.zoomedWaveform = new ZoomedWaveformVisualizer(this.elements.zoomedWaveformCanvas, {
             ...colors,
-            windowSeconds: 8
+            windowSeconds: zoom.seconds
+        });
+        this.zoomedWaveform.setZoom(zoom.seconds, zoom.mode);
+        this.setupZoomedWaveformInput();
+    }
+
+    /**
+     * Zoomed waveform input: wheel/pinch zooms both decks, drag scrubs
+     * Dragging scratches when stopped and nudges when playing
+     */
+    setupZoomedWaveformInput() {
+        const canvas = this.elements.zoomedWaveformCanvas;
+        if (!canvas) return;
+
+        // Mouse wheel (trackpad pinch arrives as ctrl + wheel)
+        canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoomWaveform(Math.exp(e.deltaY * (e.ctrlKey ? 0.01 : 0.002)));
+        }, { passive: false });
+
+        // Touch pinch
+        let pinchDistance = null;
+        const getDistance = (touches) => Math.hypot(
+            touches[0].clientX - touches[1].clientX,
+            touches[0].clientY - touches[1].clientY
+        );
+        canvas.addEventListener('touchstart', (e) => {
+            if (e.touches.length !== 2) return;
+            this.endWaveformDrag();
+            pinchDistance = getDistance(e.touches);
         });
+        canvas.addEventListener('touchmove', (e) => {
+            if (e.touches.length !== 2 || !pinchDistance) return;
+            e.preventDefault();
+            const distance = getDistance(e.touches);
+            this.zoomWaveform(pinchDistance / distance);
+            pinchDistance = distance;
+        }, { passive: false });
+        canvas.addEventListener('touchend', () => {
+            pinchDistance = null;
+        });
+
+        // Drag to scrub
+        canvas.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0 || !this.duration || pinchDistance) return;
+            canvas.setPointerCapture(e.pointerId);
+            this.startWaveformDrag(e.clientX);
+        });
+        canvas.addEventListener('pointermove', (e) => this.moveWaveformDrag(e.clientX));
+        canvas.addEventListener('pointerup', () => this.endWaveformDrag());
+        canvas.addEventListener('pointercancel', () => this.endWaveformDrag());
+    }
+
+    /**
+     * Zoom the waveform of both decks
+     * @param {number} factor - > 1 zooms out, < 1 zooms in
+     */
+    zoomWaveform(factor) {
+        const zoom = this.audioEngine.waveformZoom;
+        this.audioEngine.setWaveformZoom(zoom.seconds * factor);
+    }
+
+    /**
+     * Start a drag on the zoomed waveform
+     */
+    startWaveformDrag(clientX) {
+        if (this.waveformDrag) return;
+
+        const deck = this.audioEngine.decks[this.deckId];
+        const playing = deck.isPlaying && !deck.isPaused;
+        // In slip mode a drag scratches over the running track, like the platter
+        const slip = playing && this.audioEngine.startScratch(this.deckId);
+
+        this.waveformDrag = {
+            lastX: clientX,
+            scratch: !playing || slip,
+            slip,
+            position: this.audioEngine.getPosition(this.deckId),
+            tempo: deck.tempo,
+            settleTimer: null
+        };
+    }
+
+    /**
+     * Scratch (seek with the pointer) or nudge (bend tempo while moving)
+     */
+    moveWaveformDrag(clientX) {
+        const drag = this.waveformDrag;
+        if (!drag) return;
+
+        const deltaX = clientX - drag.lastX;
+        drag.lastX = clientX;
+
+        if (drag.scratch) {
+            // The waveform follows the pointer: dragging left moves forward in the track
+            const width = this.elements.zoomedWaveformCanvas.clientWidth || 1;
+            const secondsPerPixel = this.zoomedWaveform.effectiveWindowSeconds / width;
+            drag.position = Utils.clamp(drag.position - deltaX * secondsPerPixel, 0, this.duration);
+            this.audioEngine.seek(this.deckId, drag.position);
+            // Emit position update to refresh waveforms
+            this.audioEngine.events.emit('positionUpdate', this.deckId, drag.position, this.duration);
+        } else {
+            // Back to the original tempo as soon as the pointer stops
+            const bend = Utils.clamp(-deltaX * 0.01, -0.2, 0.2);
+            this.audioEngine.setTempo(this.deckId, Utils.clamp(drag.tempo + bend, 0.5, 1.5));
+            clearTimeout(drag.settleTimer);
+            drag.settleTimer = setTimeout(() => {
+                this.audioEngine.setTempo(this.deckId, drag.tempo);
+            }, 100);
+        }
+    }
+
+    /**
+     * End a drag on the zoomed waveform
+     */
+    endWaveformDrag() {
+        const drag = this.waveformDrag;
+        if (!drag) return;
+        this.waveformDrag = null;
+
+        clearTimeout(drag.settleTimer);
+        if (drag.slip) {
+            // Slip: snap back to where the track would have been
+            this.audioEngine.endScratch(this.deckId);
+        } else if (!drag.scratch) {
+            this.audioEngine.setTempo(this.deckId, drag.tempo);
+        }
+    }
+
+    /**
+     * Setup FX knobs (knob range 0-100, filter is bipolar -100 to 100)
+     */
+    setupFXKnobs() {
+        if (this.elements.fxFilter) {
+            this.knobs.fxFilter = new Knob(this.elements.fxFilter, {
+                step: 1,
+                onChange: (value) => this.audioEngine.setFX(this.deckId, 'filter', value / 100)
+            });
+        }
+
+        if (this.elements.fxFlanger) {
+            this.knobs.fxFlanger = new Knob(this.elements.fxFlanger, {
+                step: 1,
+                onChange: (value) => this.audioEngine.setFX(this.deckId, 'flanger', value / 100)
+            });
+        }
+
+        if (this.elements.fxEcho) {
+            this.knobs.fxEcho = new Knob(this.elements.fxEcho, {
+                step: 1,
+                onChange: (value) => this.audioEngine.setFX(this.deckId, 'echo', value / 100)
+            });
+        }
+
+        // Beat-synced timing: click to cycle through the available lengths
+        this.elements.fxEchoBeatsBtn?.addEventListener('click', () => {
+            const deck = this.audioEngine.decks[this.deckId];
+            const options = [0.25, 0.5, 0.75, 1];
+            const next = options[(options.indexOf(deck.fxEchoBeats) + 1) % options.length];
+            this.audioEngine.setFXEchoBeats(this.deckId, next);
+            this.updateFXTimingDisplay();
+        });
+
+        this.elements.fxFlangerBarsBtn?.addEventListener('click', () => {
+            const deck = this.audioEngine.decks[this.deckId];
+            const options = [1, 2, 4, 8];
+            const next = options[(options.indexOf(deck.fxFlangerBars) + 1) % options.length];
+            this.audioEngine.setFXFlangerBars(this.deckId, next);
+            this.updateFXTimingDisplay();
+        });
+    }
+
+    /**
+     * Update FX timing buttons with the current beat/bar lengths
+     */
+    updateFXTimingDisplay() {
+        const deck = this.audioEngine.decks[this.deckId];
+
+        if (this.elements.fxEchoBeatsBtn) {
+            const beats = deck.fxEchoBeats;
+            this.elements.fxEchoBeatsBtn.textContent = { 0.25: '1/4', 0.5: '1/2', 0.75: '3/4', 1: '1' }[beats];
+        }
+        if (this.elements.fxFlangerBarsBtn) {
+            this.elements.fxFlangerBarsBtn.textContent = `${deck.fxFlangerBars} BAR`;
+        }
     }
 
     /**
@@ -164,7 +412,7 @@ class DeckController {
             this.resetTempo();
         });
 
-        // Pitch slider - uses detune to shift pitch in semitones
+        // Pitch slider - transposes in semitones without changing tempo
         if (this.elements.pitchSlider) {
             this.elements.pitchSlider.addEventListener('input', (e) => {
                 const pitch = parseFloat(e.target.value);
@@ -182,6 +430,12 @@ class DeckController {
                     this.audioEngine.clearHotCue(this.deckId, index + 1);
                     btn.classList.remove('set');
                     this.exitDeleteMode();
+                } else if (this.cueEditMode) {
+                    // Edit mode: pick the cue to edit (setting it first if empty)
+                    if (!this.audioEngine.decks[this.deckId].hotCues[index]) {
+                        this.audioEngine.setHotCue(this.deckId, index + 1);
+                    }
+                    this.selectCue(index + 1);
                 } else {
                     // Normal mode: go to hot cue or set it
                     this.handleHotCue(index + 1);
@@ -201,6 +455,31 @@ class DeckController {
             });
         }
 
+        // Hot cue editor
+        this.elements.cueEditBtn?.addEventListener('click', () => {
+            this.setCueEditMode(!this.cueEditMode);
+        });
+
+        this.elements.cueLabelInput?.addEventListener('change', (e) => {
+            this.audioEngine.updateHotCue(this.deckId, this.editingCue, { label: e.target.value });
+        });
+
+        this.elements.cueColorInput?.addEventListener('input', (e) => {
+            this.audioEngine.updateHotCue(this.deckId, this.editingCue, { color: e.target.value });
+        });
+
+        this.elements.cueTypeSelect?.addEventListener('change', (e) => {
+            this.audioEngine.updateHotCue(this.deckId, this.editingCue, { type: e.target.value });
+        });
+
+        this.elements.cueNudgeLeftBtn?.addEventListener('click', (e) => {
+            this.audioEngine.nudgeHotCue(this.deckId, this.editingCue, e.shiftKey ? -0.001 : -0.01);
+        });
+
+        this.elements.cueNudgeRightBtn?.addEventListener('click', (e) => {
+            this.audioEngine.nudgeHotCue(this.deckId, this.editingCue, e.shiftKey ? 0.001 : 0.01);
+        });
+
         // Loop controls
         this.elements.loopHalveBtn?.addEventListener('click', () => {
             this.audioEngine.halveLoop(this.deckId);
@@ -214,6 +493,101 @@ class DeckController {
             this.audioEngine.doubleLoop(this.deckId);
         });
 
+        this.elements.loopInBtn?.addEventListener('click', () => {
+            this.audioEngine.setLoopIn(this.deckId);
+        });
+
+        this.elements.loopOutBtn?.addEventListener('click', () => {
+            this.audioEngine.setLoopOut(this.deckId);
+        });
+
+        this.elements.loopMoveBackBtn?.addEventListener('click', () => {
+            const deck = this.audioEngine.decks[this.deckId];
+            this.audioEngine.moveLoop(this.deckId, -deck.loopBeats);
+        });
+
+        this.elements.loopMoveForwardBtn?.addEventListener('click', () => {
+            const deck = this.audioEngine.decks[this.deckId];
+            this.audioEngine.moveLoop(this.deckId, deck.loopBeats);
+        });
+
+        this.elements.reloopBtn?.addEventListener('click', () => {
+            this.audioEngine.reloop(this.deckId);
+        });
+
+        this.elements.loopSaveBtn?.addEventListener('click', () => {
+            this.audioEngine.saveLoop(this.deckId);
+        });
+
+        // Beat jump controls
+        this.elements.jumpBackBtn?.addEventListener('click', () => {
+            this.audioEngine.beatJumpBySize(this.deckId, -1);
+        });
+
+        this.elements.jumpForwardBtn?.addEventListener('click', () => {
+            this.audioEngine.beatJumpBySize(this.deckId, 1);
+        });
+
+        this.elements.jumpSizeSelect?.addEventListener('change', (e) => {
+            this.audioEngine.setJumpBeats(this.deckId, parseInt(e.target.value, 10));
+        });
+
+        // Beat grid editor (Shift = fine nudge)
+        this.elements.gridEditBtn?.addEventListener('click', () => {
+            this.setGridEditMode(!this.gridEditMode);
+        });
+
+        this.elements.gridShiftLeftBtn?.addEventListener('click', (e) => {
+            this.audioEngine.shiftBeatGrid(this.deckId, e.shiftKey ? -0.001 : -0.01);
+        });
+
+        this.elements.gridShiftRightBtn?.addEventListener('click', (e) => {
+            this.audioEngine.shiftBeatGrid(this.deckId, e.shiftKey ? 0.001 : 0.01);
+        });
+
+        this.elements.gridDownbeatBtn?.addEventListener('click', () => {
+            this.audioEngine.setDownbeat(this.deckId);
+        });
+
+        this.elements.gridHalfBtn?.addEventListener('click', () => {
+            this.audioEngine.scaleBeatGrid(this.deckId, 0.5);
+        });
+
+        this.elements.gridDoubleBtn?.addEventListener('click', () => {
+            this.audioEngine.scaleBeatGrid(this.deckId, 2);
+        });
+
+        this.elements.gridBpmInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                const bpm = parseFloat(e.target.value);
+                if (bpm > 0) this.audioEngine.setTrackBPM(this.deckId, bpm);
+                e.target.blur();
+            } else if (e.key === 'Escape') {
+                this.updateGridBpmInput();
+                e.target.blur();
+            }
+        });
+
+        this.elements.gridBpmInput?.addEventListener('blur', () => this.updateGridBpmInput());
+
+        // Tap tempo (mousedown so the tap lands when the button goes down)
+        this.elements.tapBtn?.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            this.audioEngine.tapTempo(this.deckId);
+        });
+
+        // Slip mode toggle
+        this.elements.slipBtn?.addEventListener('click', () => {
+            const deck = this.audioEngine.decks[this.deckId];
+            this.audioEngine.setSlip(this.deckId, !deck.slipEnabled);
+        });
+
+        // Reverse toggle (releasing it in slip mode returns to the running track)
+        this.elements.reverseBtn?.addEventListener('click', () => {
+            const deck = this.audioEngine.decks[this.deckId];
+            this.audioEngine.setReverse(this.deckId, !deck.reverse);
+        });
+
         // Mini waveform click to seek
         this.elements.miniWaveformContainer.addEventListener('click', (e) => {
             if (this.duration <= 0) return;
@@ -303,47 +677,182 @@ class DeckController {
         });
 
         // Hot cue events
-        this.audioEngine.on('hotCueSet', (deckId, index, position) => {
+        this.audioEngine.on('hotCueSet', (deckId) => {
             if (deckId !== this.deckId) return;
-            const btn = this.elements.hotCueBtns[index - 1];
-            if (btn) btn.classList.add('set');
+            this.updateHotCueButtons();
             this.updateWaveformHotCues();
         });
 
         this.audioEngine.on('hotCueCleared', (deckId, index) => {
             if (deckId !== this.deckId) return;
-            const btn = this.elements.hotCueBtns[index - 1];
-            if (btn) btn.classList.remove('set');
+            if (index === this.editingCue) this.selectCue(null);
+            this.updateHotCueButtons();
             this.updateWaveformHotCues();
         });
 
+        this.audioEngine.on('hotCueChange', (deckId, index) => {
+            if (deckId !== this.deckId) return;
+            this.updateHotCueButtons();
+            this.updateWaveformHotCues();
+            if (index === this.editingCue) this.updateCueEditor();
+        });
+
         // Tempo changes
         this.audioEngine.on('tempoChange', (deckId, tempo) => {
             if (deckId !== this.deckId) return;
             this.elements.tempoSlider.value = tempo;
             this.elements.tempoValue.textContent = `${tempo.toFixed(2)}x`;
             this.updateBpmDisplay();
+            this.updateKeyDisplay();
             // Update waveform beat grid with new tempo
             if (this.zoomedWaveform) {
                 this.zoomedWaveform.setTempo(tempo);
             }
         });
 
+        // FX changes - highlight knobs that are engaged
+        this.audioEngine.on('fxChange', (deckId, effect, value) => {
+            if (deckId !== this.deckId) return;
+            const knobElement = {
+                filter: this.elements.fxFilter,
+                flanger: this.elements.fxFlanger,
+                echo: this.elements.fxEcho
+            }[effect];
+            knobElement?.classList.toggle('engaged', value !== 0);
+        });
+
+        // FX timing follows the effective BPM
+        this.audioEngine.on('fxTimingChange', (deckId, timing) => {
+            if (deckId !== this.deckId) return;
+            this.updateFXTimingDisplay();
+            if (this.elements.fxEchoBeatsBtn) {
+                this.elements.fxEchoBeatsBtn.title = `Echo length: ${Math.round(timing.echoTime * 1000)} ms`;
+            }
+            if (this.elements.fxFlangerBarsBtn) {
+                this.elements.fxFlangerBarsBtn.title = `Flanger sweep: ${timing.flangerPeriod.toFixed(1)} s`;
+            }
+        });
+
         // Loop events
         this.audioEngine.on('loopEnabled', (deckId) => {
             if (deckId !== this.deckId) return;
             this.elements.loopToggleBtn?.classList.add('active');
+            this.updateWaveformLoop();
         });
 
         this.audioEngine.on('loopDisabled', (deckId) => {
             if (deckId !== this.deckId) return;
             this.elements.loopToggleBtn?.classList.remove('active');
+            this.updateWaveformLoop();
+        });
+
+        this.audioEngine.on('loopInSet', (deckId) => {
+            if (deckId !== this.deckId) return;
+            this.updateWaveformLoop();
+        });
+
+        this.audioEngine.on('loopMoved', (deckId) => {
+            if (deckId !== this.deckId) return;
+            this.updateWaveformLoop();
         });
 
         this.audioEngine.on('loopBeatsChanged', (deckId, beats) => {
             if (deckId !== this.deckId) return;
             this.updateLoopDisplay(beats);
         });
+
+        // Zoom is shared by both decks
+        this.audioEngine.on('waveformZoomChange', (zoom) => {
+            this.zoomedWaveform.setZoom(zoom.seconds, zoom.mode);
+        });
+
+        this.audioEngine.on('savedLoopsChange', (deckId) => {
+            if (deckId !== this.deckId) return;
+            this.updateSavedLoops();
+        });
+
+        // Background analysis: progress in the BPM label, then fill in waveform, grid and key
+        this.audioEngine.on('analysisProgress', (deckId, stage, progress) => {
+            if (deckId !== this.deckId) return;
+            this.elements.trackBpm.textContent = `Analyzing ${Math.round(progress * 100)}%`;
+        });
+
+        this.audioEngine.on('analysisComplete', (deckId, analysis) => {
+            if (deckId !== this.deckId) return;
+            this.waveformData = analysis.waveformData;
+            this.miniWaveform.setData(this.waveformData, this.duration);
+            this.miniWaveform.setBeatGrid(analysis.beatGrid);
+            this.zoomedWaveform.setData(this.waveformData, this.duration);
+            this.zoomedWaveform.setBeatGrid(analysis.beatGrid);
+            this.updateBpmDisplay();
+            this.updateKeyDisplay();
+            this.updateGridBpmInput();
+        });
+
+        this.audioEngine.on('analysisError', (deckId) => {
+            if (deckId !== this.deckId) return;
+            this.updateBpmDisplay();
+        });
+
+        // Key follows pitch, and tempo when key lock is off
+        this.audioEngine.on('pitchChange', (deckId) => {
+            if (deckId === this.deckId) this.updateKeyDisplay();
+        });
+
+        this.audioEngine.on('preservesPitchChange', (deckId) => {
+            if (deckId === this.deckId) this.updateKeyDisplay();
+        });
+
+        // Beat grid edited: redraw grids and BPM readouts
+        this.audioEngine.on('beatGridChange', (deckId, beatGrid) => {
+            if (deckId !== this.deckId) return;
+            this.miniWaveform?.setBeatGrid(beatGrid);
+            this.zoomedWaveform?.setBeatGrid(beatGrid);
+            this.updateBpmDisplay();
+            this.updateGridBpmInput();
+        });
+
+        // Flash TAP on every tap
+        this.audioEngine.on('tapTempo', (deckId) => {
+            if (deckId !== this.deckId || !this.elements.tapBtn) return;
+            this.elements.tapBtn.classList.add('tapped');
+            clearTimeout(this.tapFlashTimer);
+            this.tapFlashTimer = setTimeout(() => {
+                this.elements.tapBtn.classList.remove('tapped');
+            }, 100);
+        });
+
+        this.audioEngine.on('jumpBeatsChanged', (deckId, beats) => {
+            if (deckId !== this.deckId || !this.elements.jumpSizeSelect) return;
+            this.elements.jumpSizeSelect.value = beats;
+        });
+
+        // Slip mode: show the shadow playhead while slipping
+        this.audioEngine.on('slipChange', (deckId, enabled) => {
+            if (deckId !== this.deckId) return;
+            this.elements.slipBtn?.classList.toggle('active', enabled);
+        });
+
+        this.audioEngine.on('slipStart', (deckId) => {
+            if (deckId !== this.deckId) return;
+            this.elements.slipBtn?.classList.add('slipping');
+        });
+
+        this.audioEngine.on('slipPositionUpdate', (deckId, position) => {
+            if (deckId !== this.deckId) return;
+            this.zoomedWaveform.setSlipPosition(position);
+        });
+
+        this.audioEngine.on('slipEnd', (deckId) => {
+            if (deckId !== this.deckId) return;
+            this.elements.slipBtn?.classList.remove('slipping');
+            this.zoomedWaveform.setSlipPosition(null);
+        });
+
+        this.audioEngine.on('reverseChange', (deckId, enabled) => {
+            if (deckId !== this.deckId) return;
+            this.elements.reverseBtn?.classList.toggle('active', enabled);
+        });
     }
 
     /**
@@ -364,19 +873,28 @@ class DeckController {
             this.waveformData = trackInfo.waveformData;
             this.duration = trackInfo.duration;
 
-            // Update BPM display
+            // Update BPM and key display
             this.updateBpmDisplay();
+            this.updateKeyDisplay();
 
             // Set waveform data
             this.miniWaveform.setData(this.waveformData, this.duration);
-            this.miniWaveform.setBPM(trackInfo.bpm);
+            this.miniWaveform.setBeatGrid(trackInfo.beatGrid);
             this.zoomedWaveform.setData(this.waveformData, this.duration);
-            this.zoomedWaveform.setBPM(trackInfo.bpm);
-            this.zoomedWaveform.setBeatOffset(trackInfo.beatOffset);
+            this.zoomedWaveform.setBeatGrid(trackInfo.beatGrid);
+            this.updateGridBpmInput();
             // Set current tempo for beat grid alignment
             const deck = this.audioEngine.decks[this.deckId];
             this.zoomedWaveform.setTempo(deck.tempo);
 
+            // Hot cues and loops saved for this track
+            this.selectCue(null);
+            this.updateHotCueButtons();
+            this.updateWaveformHotCues();
+            this.updateWaveformLoop();
+            this.updateSavedLoops();
+            this.updateLoopDisplay(deck.loopBeats);
+
             // Reset position indicator
             this.updatePosition(0, this.duration);
 
@@ -399,6 +917,30 @@ class DeckController {
         }
     }
 
+    /**
+     * Update key display (Camelot + musical notation) for the current pitch
+     */
+    updateKeyDisplay() {
+        if (!this.elements.trackKey) return;
+
+        const deck = this.audioEngine.decks[this.deckId];
+        const key = this.audioEngine.getKey(this.deckId);
+        if (!key) {
+            this.elements.trackKey.textContent = '--';
+            this.elements.trackKey.classList.remove('shifted');
+            return;
+        }
+
+        this.elements.trackKey.textContent = `${KeyDetector.toCamelot(key)} ${KeyDetector.toNotation(key)}`;
+
+        // Mark and explain a key moved away from the original
+        const shifted = key.tonic !== deck.key.tonic;
+        this.elements.trackKey.classList.toggle('shifted', shifted);
+        this.elements.trackKey.title = shifted
+            ? `Original key: ${KeyDetector.toCamelot(deck.key)} ${KeyDetector.toNotation(deck.key)}`
+            : 'Key (Camelot / musical)';
+    }
+
     /**
      * Update position display and waveforms
      */
@@ -457,6 +999,28 @@ class DeckController {
         this.audioEngine.goToHotCue(this.deckId, index);
     }
 
+    /**
+     * Enable/disable beat grid editing
+     */
+    setGridEditMode(enabled) {
+        this.gridEditMode = enabled;
+        this.elements.gridEditBtn?.classList.toggle('active', enabled);
+        this.elements.gridControls?.classList.toggle('editing', enabled);
+        if (this.elements.gridBpmInput) {
+            this.elements.gridBpmInput.disabled = !enabled;
+        }
+        this.zoomedWaveform?.setGridEditMode(enabled);
+    }
+
+    /**
+     * Show the grid BPM (before tempo) in the editor input
+     */
+    updateGridBpmInput() {
+        if (!this.elements.gridBpmInput) return;
+        const grid = this.audioEngine.getBeatGrid(this.deckId);
+        this.elements.gridBpmInput.value = grid.isValid() ? Number(grid.bpm.toFixed(2)) : '';
+    }
+
     /**
      * Toggle delete mode for hot cues
      */
@@ -493,6 +1057,96 @@ class DeckController {
         this.elements.tempoValue.textContent = '1.00x';
     }
 
+    /**
+     * Show which hot cues are set, in their colors
+     */
+    updateHotCueButtons() {
+        const deck = this.audioEngine.decks[this.deckId];
+        this.elements.hotCueBtns.forEach((btn, index) => {
+            if (!btn) return;
+            const cue = deck.hotCues[index];
+            btn.classList.toggle('set', !!cue);
+            btn.classList.toggle('selected', this.cueEditMode && index + 1 === this.editingCue);
+            btn.style.setProperty('--cue-color', cue ? cue.color : '');
+            btn.title = cue
+                ? `${cue.label || `Hot cue ${index + 1}`} (${Utils.formatTime(cue.position)})`
+                : '';
+        });
+    }
+
+    /**
+     * Show/hide the hot cue editor
+     */
+    setCueEditMode(enabled) {
+        this.cueEditMode = enabled;
+        this.elements.cueEditBtn?.classList.toggle('active', enabled);
+        this.elements.cueEditBtn?.closest('.hot-cues-container')?.classList.toggle('editing', enabled);
+        if (enabled) this.exitDeleteMode();
+        this.selectCue(null);
+    }
+
+    /**
+     * Select the hot cue shown in the editor
+     * @param {number|null} index - Hot cue 1-8
+     */
+    selectCue(index) {
+        this.editingCue = index;
+        this.updateHotCueButtons();
+        this.updateCueEditor();
+    }
+
+    /**
+     * Fill the editor fields from the selected hot cue
+     */
+    updateCueEditor() {
+        const cue = this.editingCue ? this.audioEngine.decks[this.deckId].hotCues[this.editingCue - 1] : null;
+        const { cueEditIndex, cueLabelInput, cueColorInput, cueTypeSelect, cueNudgeLeftBtn, cueNudgeRightBtn } = this.elements;
+
+        [cueLabelInput, cueColorInput, cueTypeSelect, cueNudgeLeftBtn, cueNudgeRightBtn].forEach(el => {
+            if (el) el.disabled = !cue;
+        });
+        if (cueEditIndex) {
+            cueEditIndex.textContent = cue ? this.editingCue : '--';
+            cueEditIndex.title = cue ? Utils.formatTime(cue.position) : '';
+        }
+        // Don't overwrite a label that is being typed
+        if (cueLabelInput && document.activeElement !== cueLabelInput) {
+            cueLabelInput.value = cue ? cue.label : '';
+        }
+        if (cueColorInput) cueColorInput.value = cue ? cue.color.toLowerCase() : '#000000';
+        if (cueTypeSelect) cueTypeSelect.value = cue ? cue.type : 'cue';
+    }
+
+    /**
+     * Rebuild the saved loop buttons and waveform marks
+     * Click recalls a loop, right-click deletes it
+     */
+    updateSavedLoops() {
+        const deck = this.audioEngine.decks[this.deckId];
+        const container = this.elements.savedLoops;
+
+        if (container) {
+            container.innerHTML = '';
+            deck.savedLoops.forEach((loop, index) => {
+                const btn = document.createElement('button');
+                btn.className = 'loop-btn saved-loop-btn';
+                btn.textContent = this.formatBeats(loop.beats);
+                btn.title = `Loop at ${Utils.formatTime(loop.start)} (right-click to delete)`;
+                btn.addEventListener('click', () => {
+                    this.audioEngine.recallLoop(this.deckId, index);
+                });
+                btn.addEventListener('contextmenu', (e) => {
+                    e.preventDefault();
+                    this.audioEngine.deleteSavedLoop(this.deckId, index);
+                });
+                container.appendChild(btn);
+            });
+        }
+
+        this.miniWaveform?.setSavedLoops([...deck.savedLoops]);
+        this.zoomedWaveform?.setSavedLoops([...deck.savedLoops]);
+    }
+
     /**
      * Update waveform visualizers with hot cue positions
      */
@@ -506,21 +1160,34 @@ class DeckController {
         }
     }
 
+    /**
+     * Update waveform visualizers with the loop region
+     */
+    updateWaveformLoop() {
+        const deck = this.audioEngine.decks[this.deckId];
+        const end = deck.loopEnd > deck.loopStart ? deck.loopEnd : null;
+        this.miniWaveform?.setLoop(deck.loopStart, end, deck.loopEnabled);
+        this.zoomedWaveform?.setLoop(deck.loopStart, end, deck.loopEnabled);
+    }
+
     /**
      * Update loop display with current beat value
      */
     updateLoopDisplay(beats) {
         if (!this.elements.loopToggleBtn) return;
+        this.elements.loopToggleBtn.textContent = this.formatBeats(beats);
+    }
 
-        // Format the display (1/32, 1/16, etc. or whole numbers)
-        let display;
+    /**
+     * Format a loop length (1/32, 1/16, etc. or whole numbers)
+     */
+    formatBeats(beats) {
         if (beats >= 1) {
-            display = beats.toString();
-        } else {
-            // Convert fraction to "1/X" format
-            display = `1/${Math.round(1/beats)}`;
+            // Manual loops (IN/OUT) can have a fractional length
+            return Number(beats.toFixed(2)).toString();
         }
-        this.elements.loopToggleBtn.textContent = display;
+        // Convert fraction to "1/X" format
+        return `1/${Math.round(1/beats)}`;
     }
 }
 
@@ -0,0 +1,182 @@
+/**
+ * DJ Mix Web - Deck Effects
+ * Per-deck FX chain: bipolar filter -> flanger -> echo
+ * Inserted between the EQ and the channel gain of each deck
+ */
+
+class DeckEffects {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+
+        // Amount per effect (filter: -1 to 1, flanger/echo: 0 to 1)
+        this.values = {
+            filter: 0,
+            flanger: 0,
+            echo: 0
+        };
+
+        // Settings
+        this.echoTime = 0.375;          // Seconds between repeats
+        this.maxEchoFeedback = 0.7;     // Feedback at full knob
+        this.flangerPeriod = 4;         // Seconds per LFO cycle
+        this.flangerBaseDelay = 0.003;  // Center delay in seconds
+        this.flangerDepth = 0.002;      // LFO swing in seconds
+        this.maxFlangerFeedback = 0.6;  // Feedback at full knob
+
+        this.createNodes();
+    }
+
+    /**
+     * Create and connect all FX nodes
+     */
+    createNodes() {
+        const ctx = this.audioContext;
+
+        // Chain endpoints
+        this.input = ctx.createGain();
+        this.output = ctx.createGain();
+
+        // FILTER: single biquad that switches between low-pass and high-pass
+        this.filter = ctx.createBiquadFilter();
+        this.filter.type = 'lowpass';
+        this.filter.frequency.value = ctx.sampleRate / 2;
+        this.filter.Q.value = 0.7;
+
+        // FLANGER: short modulated delay mixed with the dry signal
+        this.flangerOut = ctx.createGain();
+        this.flangerDry = ctx.createGain();
+        this.flangerWet = ctx.createGain();
+        this.flangerWet.gain.value = 0;
+        this.flangerDelay = ctx.createDelay(0.05);
+        this.flangerDelay.delayTime.value = this.flangerBaseDelay;
+        this.flangerFeedback = ctx.createGain();
+        this.flangerFeedback.gain.value = 0;
+
+        this.flangerLfo = ctx.createOscillator();
+        this.flangerLfo.type = 'sine';
+        this.flangerLfo.frequency.value = 1 / this.flangerPeriod;
+        this.flangerLfoGain = ctx.createGain();
+        this.flangerLfoGain.gain.value = this.flangerDepth;
+        this.flangerLfo.connect(this.flangerLfoGain);
+        this.flangerLfoGain.connect(this.flangerDelay.delayTime);
+        this.flangerLfo.start();
+
+        // ECHO: feedback delay mixed with the dry signal
+        this.echoOut = ctx.createGain();
+        this.echoDry = ctx.createGain();
+        this.echoWet = ctx.createGain();
+        this.echoWet.gain.value = 0;
+        this.echoDelay = ctx.createDelay(4);
+        this.echoDelay.delayTime.value = this.echoTime;
+        this.echoFeedback = ctx.createGain();
+        this.echoFeedback.gain.value = 0;
+
+        // Connect: input -> filter
+        this.input.connect(this.filter);
+
+        // filter -> flanger (dry + modulated delay with feedback)
+        this.filter.connect(this.flangerDry);
+        this.filter.connect(this.flangerDelay);
+        this.flangerDelay.connect(this.flangerFeedback);
+        this.flangerFeedback.connect(this.flangerDelay);
+        this.flangerDelay.connect(this.flangerWet);
+        this.flangerDry.connect(this.flangerOut);
+        this.flangerWet.connect(this.flangerOut);
+
+        // flanger -> echo (dry + delay with feedback)
+        this.flangerOut.connect(this.echoDry);
+        this.flangerOut.connect(this.echoDelay);
+        this.echoDelay.connect(this.echoFeedback);
+        this.echoFeedback.connect(this.echoDelay);
+        this.echoDelay.connect(this.echoWet);
+        this.echoDry.connect(this.echoOut);
+        this.echoWet.connect(this.echoOut);
+
+        // echo -> output
+        this.echoOut.connect(this.output);
+    }
+
+    /**
+     * Smoothly move an AudioParam to a new value
+     */
+    rampParam(param, value) {
+        const now = this.audioContext.currentTime;
+        param.cancelScheduledValues(now);
+        param.setTargetAtTime(value, now, 0.02);
+    }
+
+    /**
+     * Set filter amount (-1 = full low-pass, 0 = off, 1 = full high-pass)
+     */
+    setFilter(amount) {
+        amount = Utils.clamp(amount, -1, 1);
+        this.values.filter = amount;
+
+        const nyquist = this.audioContext.sampleRate / 2;
+        let type = 'lowpass';
+        let frequency = nyquist;
+
+        if (amount < 0) {
+            // Low-pass: sweep from nyquist down to 200Hz (exponential)
+            frequency = nyquist * Math.pow(200 / nyquist, -amount);
+        } else if (amount > 0) {
+            // High-pass: sweep from 20Hz up to 8000Hz (exponential)
+            type = 'highpass';
+            frequency = 20 * Math.pow(8000 / 20, amount);
+        }
+
+        if (this.filter.type !== type) {
+            // Jump straight to the new cutoff so the switch doesn't sweep through the audio
+            this.filter.type = type;
+            this.filter.frequency.cancelScheduledValues(this.audioContext.currentTime);
+            this.filter.frequency.value = frequency;
+        } else {
+            this.rampParam(this.filter.frequency, frequency);
+        }
+
+        this.rampParam(this.filter.Q, 0.7 + Math.abs(amount) * 4);
+    }
+
+    /**
+     * Set flanger amount (0 = off, 1 = full)
+     */
+    setFlanger(amount) {
+        amount = Utils.clamp(amount, 0, 1);
+        this.values.flanger = amount;
+
+        this.rampParam(this.flangerWet.gain, amount * 0.7);
+        this.rampParam(this.flangerFeedback.gain, amount * this.maxFlangerFeedback);
+    }
+
+    /**
+     * Set echo amount (0 = off, 1 = full)
+     */
+    setEcho(amount) {
+        amount = Utils.clamp(amount, 0, 1);
+        this.values.echo = amount;
+
+        this.rampParam(this.echoWet.gain, amount * 0.8);
+        this.rampParam(this.echoFeedback.gain, amount * this.maxEchoFeedback);
+    }
+
+    /**
+     * Set echo delay time in seconds
+     */
+    setEchoTime(seconds) {
+        this.echoTime = Utils.clamp(seconds, 0.01, 4);
+        this.rampParam(this.echoDelay.delayTime, this.echoTime);
+    }
+
+    /**
+     * Set flanger LFO period in seconds (one full sweep)
+     */
+    setFlangerPeriod(seconds) {
+        this.flangerPeriod = Math.max(seconds, 0.1);
+        this.rampParam(this.flangerLfo.frequency, 1 / this.flangerPeriod);
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeckEffects;
+}
@@ -0,0 +1,78 @@
+/**
+ * DJ Mix Web - Isolator
+ * Three-band isolator EQ: Linkwitz-Riley (LR4) crossover whose bands sum flat at 0 dB
+ * and can each be turned down to silence (used instead of the shelving/peaking EQ in isolator mode)
+ */
+
+class Isolator {
+    /**
+     * @param {AudioContext} audioContext
+     * @param {number} lowFreq - Low/mid crossover (Hz)
+     * @param {number} highFreq - Mid/high crossover (Hz)
+     */
+    constructor(audioContext, lowFreq = 200, highFreq = 2500) {
+        this.audioContext = audioContext;
+
+        this.input = audioContext.createGain();
+        this.output = audioContext.createGain();
+
+        // Band gains (linear)
+        this.bands = {
+            low: audioContext.createGain(),
+            mid: audioContext.createGain(),
+            high: audioContext.createGain()
+        };
+
+        // Low: LR4 low-pass, then an all-pass at the upper crossover so its phase matches mid + high
+        this.connectChain(this.input,
+            this.createFilter('lowpass', lowFreq), this.createFilter('lowpass', lowFreq),
+            this.createFilter('allpass', highFreq), this.bands.low, this.output);
+
+        // Mid and high share the LR4 high-pass at the lower crossover
+        const upper = this.createFilter('highpass', lowFreq);
+        this.connectChain(this.input, this.createFilter('highpass', lowFreq), upper);
+
+        this.connectChain(upper,
+            this.createFilter('lowpass', highFreq), this.createFilter('lowpass', highFreq),
+            this.bands.mid, this.output);
+
+        this.connectChain(upper,
+            this.createFilter('highpass', highFreq), this.createFilter('highpass', highFreq),
+            this.bands.high, this.output);
+    }
+
+    /**
+     * Butterworth biquad (two in series make one LR4 slope)
+     */
+    createFilter(type, frequency) {
+        const filter = this.audioContext.createBiquadFilter();
+        filter.type = type;
+        filter.frequency.value = frequency;
+        filter.Q.value = Math.SQRT1_2;
+        return filter;
+    }
+
+    /**
+     * Connect nodes in series
+     */
+    connectChain(...nodes) {
+        for (let i = 1; i < nodes.length; i++) {
+            nodes[i - 1].connect(nodes[i]);
+        }
+    }
+
+    /**
+     * Set a band level in dB (-Infinity = full kill)
+     * @param {string} band - 'low', 'mid' or 'high'
+     */
+    setBand(band, db) {
+        const gain = db === -Infinity ? 0 : Utils.dbToGain(db);
+        // Short ramp so kills don't click
+        this.bands[band].gain.setTargetAtTime(gain, this.audioContext.currentTime, 0.005);
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Isolator;
+}
@@ -0,0 +1,224 @@
+/**
+ * DJ Mix Web - Key Detector
+ * Chroma (pitch class energy) from FFT frames, correlated with Krumhansl-Kessler key profiles
+ */
+
+class KeyDetector {
+    constructor() {
+        this.analysisRate = 11025;  // Downsampled rate for analysis
+        this.fftSize = 4096;        // ~2.7 Hz bins at 11025 Hz
+        this.maxFrames = 400;       // Frames analysed, spread over the track
+        this.minFreq = 55;          // A1
+        this.maxFreq = 2000;
+
+        // Krumhansl-Kessler profiles (tonic first)
+        this.majorProfile = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+        this.minorProfile = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+    }
+
+    /**
+     * Detect the musical key of an audio buffer
+     * @param {AudioBuffer} audioBuffer
+     * @returns {Promise<{tonic: number, mode: string, confidence: number}>} tonic 0-11 (C = 0)
+     */
+    async detect(audioBuffer) {
+        return new Promise((resolve) => {
+            const samples = this.getDownsampledData(audioBuffer);
+            const chroma = this.calculateChroma(samples);
+            resolve(this.matchKey(chroma));
+        });
+    }
+
+    /**
+     * Mix to mono and downsample (box filter) to the analysis rate
+     */
+    getDownsampledData(audioBuffer) {
+        const factor = Math.max(1, Math.floor(audioBuffer.sampleRate / this.analysisRate));
+        const length = Math.floor(audioBuffer.length / factor);
+        const output = new Float32Array(length);
+        const numChannels = audioBuffer.numberOfChannels;
+
+        for (let channel = 0; channel < numChannels; channel++) {
+            const data = audioBuffer.getChannelData(channel);
+            for (let i = 0; i < length; i++) {
+                let sum = 0;
+                const start = i * factor;
+                for (let j = 0; j < factor; j++) {
+                    sum += data[start + j];
+                }
+                output[i] += sum / (factor * numChannels);
+            }
+        }
+
+        this.sampleRate = audioBuffer.sampleRate / factor;
+        return output;
+    }
+
+    /**
+     * Sum spectral magnitude per pitch class over frames spread across the track
+     * @returns {Float32Array} 12 values (C to B)
+     */
+    calculateChroma(samples) {
+        const { fftSize } = this;
+        const chroma = new Float32Array(12);
+        const totalFrames = Math.floor(samples.length / fftSize);
+        if (totalFrames === 0) return chroma;
+
+        const step = Math.max(1, Math.floor(totalFrames / this.maxFrames));
+        const binHz = this.sampleRate / fftSize;
+        const minBin = Math.ceil(this.minFreq / binHz);
+        const maxBin = Math.min(fftSize / 2 - 1, Math.floor(this.maxFreq / binHz));
+
+        // Pitch class of each bin (A4 = 440 Hz, C = 0)
+        const binPitchClass = new Int8Array(fftSize / 2);
+        for (let bin = minBin; bin <= maxBin; bin++) {
+            const midi = 69 + 12 * Math.log2((bin * binHz) / 440);
+            binPitchClass[bin] = ((Math.round(midi) % 12) + 12) % 12;
+        }
+
+        // Hann window
+        const window = new Float32Array(fftSize);
+        for (let i = 0; i < fftSize; i++) {
+            window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (fftSize - 1));
+        }
+
+        const real = new Float32Array(fftSize);
+        const imag = new Float32Array(fftSize);
+
+        for (let frame = 0; frame < totalFrames; frame += step) {
+            const offset = frame * fftSize;
+            for (let i = 0; i < fftSize; i++) {
+                real[i] = samples[offset + i] * window[i];
+                imag[i] = 0;
+            }
+
+            this.fft(real, imag);
+
+            for (let bin = minBin; bin <= maxBin; bin++) {
+                const magnitude = Math.sqrt(real[bin] * real[bin] + imag[bin] * imag[bin]);
+                // Log compression so loud bass notes don't dominate
+                chroma[binPitchClass[bin]] += Math.log1p(magnitude);
+            }
+        }
+
+        return chroma;
+    }
+
+    /**
+     * In-place radix-2 FFT
+     */
+    fft(real, imag) {
+        const n = real.length;
+
+        // Bit reversal
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [real[i], real[j]] = [real[j], real[i]];
+                [imag[i], imag[j]] = [imag[j], imag[i]];
+            }
+        }
+
+        for (let size = 2; size <= n; size <<= 1) {
+            const angle = (-2 * Math.PI) / size;
+            const wReal = Math.cos(angle);
+            const wImag = Math.sin(angle);
+            for (let start = 0; start < n; start += size) {
+                let curReal = 1;
+                let curImag = 0;
+                for (let k = 0; k < size / 2; k++) {
+                    const a = start + k;
+                    const b = a + size / 2;
+                    const tReal = real[b] * curReal - imag[b] * curImag;
+                    const tImag = real[b] * curImag + imag[b] * curReal;
+                    real[b] = real[a] - tReal;
+                    imag[b] = imag[a] - tImag;
+                    real[a] += tReal;
+                    imag[a] += tImag;
+                    const nextReal = curReal * wReal - curImag * wImag;
+                    curImag = curReal * wImag + curImag * wReal;
+                    curReal = nextReal;
+                }
+            }
+        }
+    }
+
+    /**
+     * Correlate chroma with all 24 rotated key profiles and pick the best
+     */
+    matchKey(chroma) {
+        let best = { tonic: 0, mode: 'major', confidence: 0 };
+        let bestScore = -Infinity;
+
+        for (const mode of ['major', 'minor']) {
+            const profile = mode === 'major' ? this.majorProfile : this.minorProfile;
+            for (let tonic = 0; tonic < 12; tonic++) {
+                const rotated = chroma.map((_, pc) => profile[(pc - tonic + 12) % 12]);
+                const score = this.correlation(chroma, rotated);
+                if (score > bestScore) {
+                    bestScore = score;
+                    best = { tonic, mode, confidence: Math.max(0, score) };
+                }
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Pearson correlation of two equal-length arrays
+     */
+    correlation(a, b) {
+        const n = a.length;
+        const meanA = a.reduce((sum, v) => sum + v, 0) / n;
+        const meanB = b.reduce((sum, v) => sum + v, 0) / n;
+
+        let num = 0;
+        let denA = 0;
+        let denB = 0;
+        for (let i = 0; i < n; i++) {
+            const da = a[i] - meanA;
+            const db = b[i] - meanB;
+            num += da * db;
+            denA += da * da;
+            denB += db * db;
+        }
+
+        return denA && denB ? num / Math.sqrt(denA * denB) : 0;
+    }
+
+    /**
+     * Shift a key by a number of semitones (rounded)
+     */
+    static transpose(key, semitones) {
+        return {
+            ...key,
+            tonic: (((key.tonic + Math.round(semitones)) % 12) + 12) % 12
+        };
+    }
+
+    /**
+     * Musical notation, e.g. "Am" or "F#"
+     */
+    static toNotation(key) {
+        const names = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+        return names[key.tonic] + (key.mode === 'minor' ? 'm' : '');
+    }
+
+    /**
+     * Camelot wheel code, e.g. "8A" (A minor) or "8B" (C major)
+     */
+    static toCamelot(key) {
+        // Minor keys share the number of their relative major (3 semitones up)
+        const majorTonic = key.mode === 'minor' ? (key.tonic + 3) % 12 : key.tonic;
+        const number = ((7 * majorTonic + 7) % 12) + 1;
+        return `${number}${key.mode === 'minor' ? 'A' : 'B'}`;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KeyDetector;
+}
@@ -7,12 +7,13 @@ class Knob {
     constructor(element, options = {}) {
         this.element = element;
         this.options = {
-            min: parseFloat(element.dataset.min) || -12,
-            max: parseFloat(element.dataset.max) || 12,
+            min: element.dataset.min !== undefined ? parseFloat(element.dataset.min) : -12,
+            max: element.dataset.max !== undefined ? parseFloat(element.dataset.max) : 12,
             value: parseFloat(element.dataset.value) || 0,
             step: options.step || 0.5,
             sensitivity: options.sensitivity || 0.5,
             onChange: options.onChange || (() => {}),
+            format: options.format || null,  // Value label (default: the value, "+" when positive)
             ...options
         };
 
@@ -95,8 +96,9 @@ class Knob {
 
     /**
      * Set value
+     * @param {boolean} notify - Call onChange (false when mirroring a value set elsewhere)
      */
-    setValue(value) {
+    setValue(value, notify = true) {
         // Clamp to range
         value = Utils.clamp(value, this.options.min, this.options.max);
 
@@ -106,15 +108,15 @@ class Knob {
         if (value !== this.value) {
             this.value = value;
             this.updateDisplay();
-            this.options.onChange(this.value);
+            if (notify) this.options.onChange(this.value);
         }
     }
 
     /**
-     * Reset to center (0)
+     * Reset to the initial value (data-value, 0 for EQ and FX)
      */
     reset() {
-        this.setValue(0);
+        this.setValue(this.options.value);
     }
 
     /**
@@ -132,7 +134,9 @@ class Knob {
         // Update value display if exists
         const valueDisplay = this.element.parentElement?.querySelector('.knob-value');
         if (valueDisplay) {
-            valueDisplay.textContent = this.value > 0 ? `+${this.value}` : this.value;
+            valueDisplay.textContent = this.options.format
+                ? this.options.format(this.value)
+                : (this.value > 0 ? `+${this.value}` : this.value);
         }
     }
 
@@ -0,0 +1,140 @@
+/**
+ * DJ Mix Web - Loudness Meter
+ * Integrated loudness (ITU-R BS.1770 style): K-weighting, 400 ms blocks with 75% overlap,
+ * absolute gate at -70 LUFS and relative gate 10 LU below the ungated level
+ */
+
+class LoudnessMeter {
+    constructor() {
+        this.blockTime = 0.4;
+        this.stepTime = 0.1;          // 75% overlap
+        this.absoluteGate = -70;      // LUFS
+        this.relativeGate = -10;      // LU
+    }
+
+    /**
+     * Measure integrated loudness over all channels of a track
+     * @param {AudioBuffer|Object} audioBuffer
+     * @returns {number|null} LUFS, null for silence or tracks shorter than one block
+     */
+    measure(audioBuffer) {
+        const { sampleRate, numberOfChannels } = audioBuffer;
+        const stepSamples = Math.round(sampleRate * this.stepTime);
+        const stepsPerBlock = Math.round(this.blockTime / this.stepTime);
+        const steps = Math.floor(audioBuffer.length / stepSamples);
+        if (steps < stepsPerBlock) return null;
+
+        // Sum of K-weighted squared samples per 100 ms step, channels added with their weights
+        const stepEnergy = new Float64Array(steps);
+        const weights = LoudnessMeter.channelWeights(numberOfChannels);
+        for (let channel = 0; channel < numberOfChannels; channel++) {
+            if (weights[channel] === 0) continue;
+            this.addStepEnergy(audioBuffer.getChannelData(channel), sampleRate, stepSamples, stepEnergy, weights[channel]);
+        }
+
+        const blockSamples = stepSamples * stepsPerBlock;
+        const blocks = [];
+        let energy = 0;
+        for (let i = 0; i < steps; i++) {
+            energy += stepEnergy[i];
+            if (i >= stepsPerBlock) energy -= stepEnergy[i - stepsPerBlock];
+            if (i >= stepsPerBlock - 1) blocks.push(energy / blockSamples);
+        }
+
+        // Absolute gate, then relative gate against the level of the blocks that passed
+        const toLufs = (meanSquare) => -0.691 + 10 * Math.log10(meanSquare);
+        const absoluteThreshold = Math.pow(10, (this.absoluteGate + 0.691) / 10);
+        const audible = blocks.filter(block => block > absoluteThreshold);
+        if (audible.length === 0) return null;
+
+        const relativeThreshold = Math.pow(10,
+            (toLufs(LoudnessMeter.mean(audible)) + this.relativeGate + 0.691) / 10);
+        const gated = audible.filter(block => block > relativeThreshold);
+
+        return toLufs(LoudnessMeter.mean(gated.length ? gated : audible));
+    }
+
+    /**
+     * BS.1770 channel weights: 1 for L, R and C, 1.41 for surrounds, LFE left out
+     * (5.1 in Web Audio order: L, R, C, LFE, SL, SR)
+     */
+    static channelWeights(numberOfChannels) {
+        if (numberOfChannels === 6) return [1, 1, 1, 0, 1.41, 1.41];
+        return new Array(numberOfChannels).fill(1);
+    }
+
+    /**
+     * K-weight one channel and add its weighted squared samples to each step
+     */
+    addStepEnergy(data, sampleRate, stepSamples, stepEnergy, weight = 1) {
+        const [shelf, highpass] = LoudnessMeter.kWeightingFilters(sampleRate);
+
+        // Direct form I state
+        let sx1 = 0, sx2 = 0, sy1 = 0, sy2 = 0;
+        let hx1 = 0, hx2 = 0, hy1 = 0, hy2 = 0;
+
+        for (let step = 0; step < stepEnergy.length; step++) {
+            const end = (step + 1) * stepSamples;
+            let sum = 0;
+
+            for (let i = step * stepSamples; i < end; i++) {
+                const x = data[i];
+                const s = shelf.b0 * x + shelf.b1 * sx1 + shelf.b2 * sx2 - shelf.a1 * sy1 - shelf.a2 * sy2;
+                sx2 = sx1; sx1 = x; sy2 = sy1; sy1 = s;
+
+                const y = highpass.b0 * s + highpass.b1 * hx1 + highpass.b2 * hx2 - highpass.a1 * hy1 - highpass.a2 * hy2;
+                hx2 = hx1; hx1 = s; hy2 = hy1; hy1 = y;
+
+                sum += y * y;
+            }
+
+            stepEnergy[step] += sum * weight;
+        }
+    }
+
+    /**
+     * K-weighting biquads for any sample rate (high shelf +4 dB, then 38 Hz high-pass)
+     * At 48 kHz these match the BS.1770 coefficient tables
+     */
+    static kWeightingFilters(sampleRate) {
+        // Stage 1: head-related high shelf
+        let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+        let Q = 0.7071752369554196;
+        const Vh = Math.pow(10, 3.999843853973347 / 20);
+        const Vb = Math.pow(Vh, 0.4996667741545416);
+        let a0 = 1 + K / Q + K * K;
+        const shelf = {
+            b0: (Vh + Vb * K / Q + K * K) / a0,
+            b1: 2 * (K * K - Vh) / a0,
+            b2: (Vh - Vb * K / Q + K * K) / a0,
+            a1: 2 * (K * K - 1) / a0,
+            a2: (1 - K / Q + K * K) / a0
+        };
+
+        // Stage 2: RLB high-pass
+        K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+        Q = 0.5003270373238773;
+        a0 = 1 + K / Q + K * K;
+        const highpass = {
+            b0: 1,
+            b1: -2,
+            b2: 1,
+            a1: 2 * (K * K - 1) / a0,
+            a2: (1 - K / Q + K * K) / a0
+        };
+
+        return [shelf, highpass];
+    }
+
+    /**
+     * Arithmetic mean
+     */
+    static mean(values) {
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LoudnessMeter;
+}
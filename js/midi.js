@@ -28,20 +28,23 @@ class MIDIController {
                 eqHigh: 96,    // CC
                 eqMid: 97,     // CC
                 eqLow: 98,     // CC
-                // Hot Cues (Notes)
-                hotCue1: 34,
-                hotCue2: 35,
-                hotCue3: 36,
-                hotCue4: 37,
-                hotCue5: 38,
-                hotCue6: 39,
-                hotCue7: 40,
-                hotCue8: 41,
+                // Pads (Notes) - follow the deck's pad mode
+                pad1: 34,
+                pad2: 35,
+                pad3: 36,
+                pad4: 37,
+                pad5: 38,
+                pad6: 39,
+                pad7: 40,
+                pad8: 41,
                 hotCueDel: 42,
                 // Loop (Notes)
                 loopHalve: 23,   // Flecha izquierda <
                 loopDouble: 24,  // Flecha derecha >
                 loopToggle: 25,  // ON/OFF
+                // Beat jump (Notes)
+                beatJumpBack: 21,
+                beatJumpForward: 22,
                 // Jog wheel (CC - relative encoder, 64 = center)
                 jogWheel: 26
                 // Tempo uses Pitch Bend on CH0
@@ -56,20 +59,23 @@ class MIDIController {
                 eqHigh: 99,    // CC
                 eqMid: 100,    // CC
                 eqLow: 101,    // CC
-                // Hot Cues (Notes)
-                hotCue1: 66,
-                hotCue2: 67,
-                hotCue3: 68,
-                hotCue4: 69,
-                hotCue5: 70,
-                hotCue6: 71,
-                hotCue7: 72,
-                hotCue8: 73,
+                // Pads (Notes) - follow the deck's pad mode
+                pad1: 66,
+                pad2: 67,
+                pad3: 68,
+                pad4: 69,
+                pad5: 70,
+                pad6: 71,
+                pad7: 72,
+                pad8: 73,
                 hotCueDel: 74,
                 // Loop (Notes)
                 loopHalve: 56,   // Flecha izquierda <
                 loopDouble: 55,  // Flecha derecha >
                 loopToggle: 57,  // ON/OFF
+                // Beat jump (Notes)
+                beatJumpBack: 53,
+                beatJumpForward: 54,
                 // Jog wheel (CC - relative encoder, 64 = center)
                 jogWheel: 58
                 // Tempo uses Pitch Bend on CH1
@@ -78,11 +84,19 @@ class MIDIController {
             crossfader: {
                 channel: 0,
                 cc: 114
-            }
+            },
+            // Velocity palette for RGB pad LEDs ([{ rgb: [r, g, b], velocity }], the nearest color is sent);
+            // null for single-color LEDs, which get 127 (on) / 0 (off)
+            ledPalette: null
         };
 
         // Callbacks for UI updates
         this.onConnectionChange = null;
+
+        // Pad LEDs follow the pad mode, state and hot cue colors of each deck
+        this.audioEngine.on('padStateChange', (deckId, mode, states, colors) => {
+            this.updatePadLEDs(deckId, states, colors);
+        });
     }
 
     /**
@@ -129,6 +143,7 @@ class MIDIController {
         }
 
         this.isConnected = this.inputs.length > 0;
+        this.refreshPadLEDs();
 
         if (this.onConnectionChange) {
             this.onConnectionChange(this.isConnected, this.inputs.map(i => i.name));
@@ -201,23 +216,9 @@ class MIDIController {
             } else if (note === this.mapping.deckA.sync) {
                 this.audioEngine.sync('A');
             }
-            // Hot Cues 1-8
-            else if (note === this.mapping.deckA.hotCue1) {
-                this.handleHotCue('A', 1);
-            } else if (note === this.mapping.deckA.hotCue2) {
-                this.handleHotCue('A', 2);
-            } else if (note === this.mapping.deckA.hotCue3) {
-                this.handleHotCue('A', 3);
-            } else if (note === this.mapping.deckA.hotCue4) {
-                this.handleHotCue('A', 4);
-            } else if (note === this.mapping.deckA.hotCue5) {
-                this.handleHotCue('A', 5);
-            } else if (note === this.mapping.deckA.hotCue6) {
-                this.handleHotCue('A', 6);
-            } else if (note === this.mapping.deckA.hotCue7) {
-                this.handleHotCue('A', 7);
-            } else if (note === this.mapping.deckA.hotCue8) {
-                this.handleHotCue('A', 8);
+            // Pads 1-8
+            else if (this.getPadIndex('deckA', note) > 0) {
+                this.handlePad('A', this.getPadIndex('deckA', note));
             } else if (note === this.mapping.deckA.hotCueDel) {
                 this.deckA.toggleDeleteMode();
             }
@@ -229,6 +230,12 @@ class MIDIController {
             } else if (note === this.mapping.deckA.loopToggle) {
                 this.audioEngine.toggleLoop('A');
             }
+            // Beat jump
+            else if (note === this.mapping.deckA.beatJumpBack) {
+                this.audioEngine.beatJumpBySize('A', -1);
+            } else if (note === this.mapping.deckA.beatJumpForward) {
+                this.audioEngine.beatJumpBySize('A', 1);
+            }
         }
         // Deck B (Channel 1)
         else if (channel === this.mapping.deckB.channel) {
@@ -239,23 +246,9 @@ class MIDIController {
             } else if (note === this.mapping.deckB.sync) {
                 this.audioEngine.sync('B');
             }
-            // Hot Cues 1-8
-            else if (note === this.mapping.deckB.hotCue1) {
-                this.handleHotCue('B', 1);
-            } else if (note === this.mapping.deckB.hotCue2) {
-                this.handleHotCue('B', 2);
-            } else if (note === this.mapping.deckB.hotCue3) {
-                this.handleHotCue('B', 3);
-            } else if (note === this.mapping.deckB.hotCue4) {
-                this.handleHotCue('B', 4);
-            } else if (note === this.mapping.deckB.hotCue5) {
-                this.handleHotCue('B', 5);
-            } else if (note === this.mapping.deckB.hotCue6) {
-                this.handleHotCue('B', 6);
-            } else if (note === this.mapping.deckB.hotCue7) {
-                this.handleHotCue('B', 7);
-            } else if (note === this.mapping.deckB.hotCue8) {
-                this.handleHotCue('B', 8);
+            // Pads 1-8
+            else if (this.getPadIndex('deckB', note) > 0) {
+                this.handlePad('B', this.getPadIndex('deckB', note));
             } else if (note === this.mapping.deckB.hotCueDel) {
                 this.deckB.toggleDeleteMode();
             }
@@ -267,6 +260,12 @@ class MIDIController {
             } else if (note === this.mapping.deckB.loopToggle) {
                 this.audioEngine.toggleLoop('B');
             }
+            // Beat jump
+            else if (note === this.mapping.deckB.beatJumpBack) {
+                this.audioEngine.beatJumpBySize('B', -1);
+            } else if (note === this.mapping.deckB.beatJumpForward) {
+                this.audioEngine.beatJumpBySize('B', 1);
+            }
         }
     }
 
@@ -274,8 +273,14 @@ class MIDIController {
      * Handle Note Off messages
      */
     handleNoteOff(channel, note) {
-        // Currently not used, but could be used for momentary buttons
         console.log(`Note Off: CH${channel} Note:${note}`);
+
+        // Pad release (momentary pad modes like loop roll)
+        if (channel === this.mapping.deckA.channel && this.getPadIndex('deckA', note) > 0) {
+            this.deckA.pads?.release(this.getPadIndex('deckA', note));
+        } else if (channel === this.mapping.deckB.channel && this.getPadIndex('deckB', note) > 0) {
+            this.deckB.pads?.release(this.getPadIndex('deckB', note));
+        }
     }
 
     /**
@@ -299,15 +304,15 @@ class MIDIController {
             } else if (controller === this.mapping.deckA.eqHigh) {
                 const db = this.ccToDb(value);
                 this.audioEngine.setEQ('A', 'high', db);
-                this.updateKnob('eqHighA', db);
+                this.updateKnob('eqHighA', this.ccToKnob(value), Utils.formatDb(db));
             } else if (controller === this.mapping.deckA.eqMid) {
                 const db = this.ccToDb(value);
                 this.audioEngine.setEQ('A', 'mid', db);
-                this.updateKnob('eqMidA', db);
+                this.updateKnob('eqMidA', this.ccToKnob(value), Utils.formatDb(db));
             } else if (controller === this.mapping.deckA.eqLow) {
                 const db = this.ccToDb(value);
                 this.audioEngine.setEQ('A', 'low', db);
-                this.updateKnob('eqLowA', db);
+                this.updateKnob('eqLowA', this.ccToKnob(value), Utils.formatDb(db));
             } else if (controller === this.mapping.crossfader.cc) {
                 const cf = value / 127;
                 this.audioEngine.setCrossfader(cf);
@@ -329,15 +334,15 @@ class MIDIController {
             } else if (controller === this.mapping.deckB.eqHigh) {
                 const db = this.ccToDb(value);
                 this.audioEngine.setEQ('B', 'high', db);
-                this.updateKnob('eqHighB', db);
+                this.updateKnob('eqHighB', this.ccToKnob(value), Utils.formatDb(db));
             } else if (controller === this.mapping.deckB.eqMid) {
                 const db = this.ccToDb(value);
                 this.audioEngine.setEQ('B', 'mid', db);
-                this.updateKnob('eqMidB', db);
+                this.updateKnob('eqMidB', this.ccToKnob(value), Utils.formatDb(db));
             } else if (controller === this.mapping.deckB.eqLow) {
                 const db = this.ccToDb(value);
                 this.audioEngine.setEQ('B', 'low', db);
-                this.updateKnob('eqLowB', db);
+                this.updateKnob('eqLowB', this.ccToKnob(value), Utils.formatDb(db));
             }
         }
     }
@@ -378,15 +383,24 @@ class MIDIController {
     }
 
     /**
-     * Handle hot cue button press
+     * Get pad number (1-8) for a note, or 0 if the note is not a pad
      */
-    handleHotCue(deckId, index) {
+    getPadIndex(deckKey, note) {
+        const deckMapping = this.mapping[deckKey];
+        for (let i = 1; i <= 8; i++) {
+            if (deckMapping[`pad${i}`] === note) return i;
+        }
+        return 0;
+    }
+
+    /**
+     * Handle pad press - the action depends on the deck's pad mode
+     */
+    handlePad(deckId, index) {
         const deckController = deckId === 'A' ? this.deckA : this.deckB;
 
-        // Check if we're in delete mode
-        if (deckController.deleteMode) {
-            this.audioEngine.clearHotCue(deckId, index);
-            deckController.exitDeleteMode();
+        if (deckController.pads) {
+            deckController.pads.press(index);
         } else {
             // Go to hot cue or set it if not set
             this.audioEngine.goToHotCue(deckId, index);
@@ -394,9 +408,40 @@ class MIDIController {
     }
 
     /**
-     * Convert CC value (0-127) to dB (-12 to +12)
+     * Mirror pad states on the controller LEDs
+     */
+    updatePadLEDs(deckId, states, colors = []) {
+        const deckMapping = deckId === 'A' ? this.mapping.deckA : this.mapping.deckB;
+
+        states.forEach((lit, i) => {
+            this.sendLED(deckMapping[`pad${i + 1}`], deckMapping.channel, lit, colors[i]);
+        });
+    }
+
+    /**
+     * Refresh pad LEDs for both decks (after connecting a device)
+     */
+    refreshPadLEDs() {
+        for (const deckController of [this.deckA, this.deckB]) {
+            if (deckController?.pads) {
+                const { pads } = deckController;
+                this.updatePadLEDs(deckController.deckId, pads.getPadStates(), pads.getPadColors());
+            }
+        }
+    }
+
+    /**
+     * Convert CC value (0-127) to dB for the current EQ mode
+     * EQ: linear -12 to +12. Isolator: non-linear, -Infinity (kill) at 0 up to +6 at 127
      */
     ccToDb(value) {
+        return this.audioEngine.eqPositionToDb((value / 127) * 2 - 1);
+    }
+
+    /**
+     * Convert CC value (0-127) to an EQ knob position (-12 to +12)
+     */
+    ccToKnob(value) {
         return ((value / 127) * 24) - 12;
     }
 
@@ -414,8 +459,9 @@ class MIDIController {
 
     /**
      * Update a knob in the UI
+     * @param {string} label - Value text (defaults to the rounded value)
      */
-    updateKnob(id, value) {
+    updateKnob(id, value, label = Math.round(value)) {
         const knob = document.getElementById(id);
         if (knob) {
             knob.dataset.value = value;
@@ -430,7 +476,7 @@ class MIDIController {
             // Update value display
             const valueDisplay = knob.parentElement?.querySelector('.knob-value');
             if (valueDisplay) {
-                valueDisplay.textContent = Math.round(value);
+                valueDisplay.textContent = label;
             }
         }
     }
@@ -445,14 +491,35 @@ class MIDIController {
         }
     }
 
+    /**
+     * Velocity of the mapping's LED palette closest to a hex color
+     */
+    colorToVelocity(color) {
+        const hex = parseInt(color.slice(1), 16);
+        const rgb = [(hex >> 16) & 255, (hex >> 8) & 255, hex & 255];
+
+        const palette = this.mapping.ledPalette;
+        let best = palette[0];
+        let bestDistance = Infinity;
+        for (const entry of palette) {
+            const distance = entry.rgb.reduce((sum, value, i) => sum + (value - rgb[i]) ** 2, 0);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = entry;
+            }
+        }
+        return best.velocity;
+    }
+
     /**
      * Send LED feedback to controller (optional)
+     * @param {string} [color] - Hex color for RGB pads (used only if the mapping has an LED palette)
      */
-    sendLED(note, channel, state) {
+    sendLED(note, channel, state, color = null) {
         if (this.outputs.length === 0) return;
 
         const status = 0x90 | channel; // Note On
-        const velocity = state ? 127 : 0;
+        const velocity = state ? (color && this.mapping.ledPalette ? this.colorToVelocity(color) : 127) : 0;
 
         for (const output of this.outputs) {
             output.send([status, note, velocity]);
@@ -0,0 +1,310 @@
+/**
+ * DJ Mix Web - Mix Recorder
+ * Records the master output (after master gain and limiter) with MediaRecorder
+ * and logs which tracks were loaded and played, exported as a CUE sheet next to the audio
+ */
+
+class MixRecorder {
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+
+        // DOM elements
+        this.elements = {
+            recBtn: document.getElementById('recBtn'),
+            status: document.getElementById('recStatus')
+        };
+
+        // Preferred formats, first supported one wins
+        this.mimeTypes = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/mp4'];
+
+        // State
+        this.recorder = null;
+        this.streamDestination = null;
+        this.chunks = [];
+        this.size = 0;
+        this.startTime = 0;       // audioContext time when recording started
+        this.startDate = null;
+        this.tracklist = [];      // { time, deckId, type: 'load' | 'play', name }
+        this.playedTracks = {};   // deckId -> name of the track already in the tracklist
+        this.statusTimer = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize button and event logging
+     */
+    init() {
+        const { recBtn } = this.elements;
+        if (recBtn && !MixRecorder.isSupported()) {
+            recBtn.disabled = true;
+            recBtn.title = 'Recording is not supported in this browser';
+        }
+
+        recBtn?.addEventListener('click', () => {
+            if (this.isRecording()) {
+                this.stop();
+            } else {
+                this.start();
+            }
+        });
+
+        this.audioEngine.on('trackLoaded', (deckId, trackInfo) => {
+            this.log(deckId, 'load', trackInfo.name);
+        });
+
+        this.audioEngine.on('play', (deckId) => {
+            this.log(deckId, 'play', this.audioEngine.decks[deckId].trackName);
+        });
+    }
+
+    /**
+     * MediaRecorder and MediaStreamAudioDestinationNode available
+     */
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined' &&
+            typeof AudioContext !== 'undefined' &&
+            'createMediaStreamDestination' in AudioContext.prototype;
+    }
+
+    /**
+     * Currently recording
+     */
+    isRecording() {
+        return this.recorder?.state === 'recording';
+    }
+
+    /**
+     * First container/codec MediaRecorder can write ('' lets the browser choose)
+     */
+    getMimeType() {
+        return this.mimeTypes.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    /**
+     * Start recording the master output
+     */
+    start() {
+        if (this.isRecording() || !MixRecorder.isSupported()) return;
+
+        const ctx = this.audioEngine.audioContext;
+        this.streamDestination = ctx.createMediaStreamDestination();
+        this.audioEngine.masterOutput.connect(this.streamDestination);
+
+        try {
+            const mimeType = this.getMimeType();
+            this.recorder = new MediaRecorder(this.streamDestination.stream, mimeType ? { mimeType } : {});
+        } catch (error) {
+            console.error('Could not start recording:', error);
+            this.disconnect();
+            return;
+        }
+
+        this.chunks = [];
+        this.size = 0;
+        this.tracklist = [];
+        this.playedTracks = {};
+        this.startTime = ctx.currentTime;
+        this.startDate = new Date();
+
+        this.recorder.ondataavailable = (e) => {
+            if (e.data.size === 0) return;
+            this.chunks.push(e.data);
+            this.size += e.data.size;
+        };
+        this.recorder.onstop = () => this.finish();
+
+        // Deliver data every second so the size display stays current
+        this.recorder.start(1000);
+
+        // Tracks already playing start the tracklist
+        for (const deckId of ['A', 'B']) {
+            const deck = this.audioEngine.decks[deckId];
+            if (deck.isPlaying && !deck.isPaused) {
+                this.log(deckId, 'play', deck.trackName);
+            }
+        }
+
+        this.elements.recBtn?.classList.add('active');
+        this.statusTimer = setInterval(() => this.updateStatus(), 500);
+        this.updateStatus();
+        console.log(`Recording started (${this.recorder.mimeType || 'default format'})`);
+    }
+
+    /**
+     * Stop recording; the files are downloaded once the last data arrives
+     */
+    stop() {
+        if (!this.isRecording()) return;
+        this.recorder.stop();
+    }
+
+    /**
+     * Build the audio file and CUE sheet and download both
+     */
+    finish() {
+        clearInterval(this.statusTimer);
+        this.statusTimer = null;
+        this.disconnect();
+        this.elements.recBtn?.classList.remove('active');
+
+        const mimeType = this.recorder.mimeType || this.chunks[0]?.type || 'audio/webm';
+        const audioFileName = `${this.getBaseName()}.${this.getExtension(mimeType)}`;
+
+        this.download(new Blob(this.chunks, { type: mimeType }), audioFileName);
+        if (this.tracklist.some(entry => entry.type === 'play')) {
+            this.download(new Blob([this.createCueSheet(audioFileName)], { type: 'text/plain' }),
+                `${this.getBaseName()}.cue`);
+        }
+
+        this.chunks = [];
+        this.recorder = null;
+        this.updateStatus();
+    }
+
+    /**
+     * Remove the recording tap from the master output
+     */
+    disconnect() {
+        if (!this.streamDestination) return;
+        this.audioEngine.masterOutput.disconnect(this.streamDestination);
+        this.streamDestination = null;
+    }
+
+    /**
+     * Record a load/play event in the tracklist
+     * Pausing and resuming the same track doesn't add it again
+     */
+    log(deckId, type, name) {
+        if (!this.isRecording() || !name) return;
+
+        const time = this.getElapsed();
+        if (type === 'load') {
+            delete this.playedTracks[deckId];
+        } else if (this.playedTracks[deckId] === name) {
+            return;
+        } else {
+            this.playedTracks[deckId] = name;
+        }
+
+        this.tracklist.push({ time, deckId, type, name });
+    }
+
+    /**
+     * Seconds since recording started
+     */
+    getElapsed() {
+        return this.isRecording() ? this.audioEngine.audioContext.currentTime - this.startTime : 0;
+    }
+
+    /**
+     * CUE sheet with one track per played track (loads are kept as comments)
+     */
+    createCueSheet(audioFileName) {
+        const quote = (text) => `"${String(text).replace(/"/g, "'")}"`;
+        const lines = [
+            `REM DATE ${this.startDate.toISOString().slice(0, 10)}`,
+            `REM COMMENT ${quote('Recorded with DJ Mix Web')}`,
+            `TITLE ${quote(this.getBaseName())}`,
+            `FILE ${quote(audioFileName)} WAVE`
+        ];
+
+        let trackNumber = 0;
+        for (const entry of this.tracklist) {
+            if (entry.type === 'load') {
+                lines.push(`REM LOAD ${MixRecorder.formatCueTime(entry.time)} DECK ${entry.deckId} ${quote(entry.name)}`);
+                continue;
+            }
+
+            trackNumber++;
+            const { performer, title } = MixRecorder.parseTrackName(entry.name);
+            lines.push(`  TRACK ${String(trackNumber).padStart(2, '0')} AUDIO`);
+            lines.push(`    TITLE ${quote(title)}`);
+            if (performer) lines.push(`    PERFORMER ${quote(performer)}`);
+            lines.push(`    REM DECK ${entry.deckId}`);
+            // The first track has to start at 00:00:00
+            lines.push(`    INDEX 01 ${MixRecorder.formatCueTime(trackNumber === 1 ? 0 : entry.time)}`);
+        }
+
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * "Artist - Title" file names become performer and title
+     */
+    static parseTrackName(name) {
+        const separator = name.indexOf(' - ');
+        if (separator === -1) return { performer: '', title: name };
+        return { performer: name.slice(0, separator), title: name.slice(separator + 3) };
+    }
+
+    /**
+     * CUE sheet time: mm:ss:ff (75 frames per second)
+     */
+    static formatCueTime(seconds) {
+        const totalFrames = Math.floor(seconds * 75);
+        const frames = totalFrames % 75;
+        const secs = Math.floor(totalFrames / 75) % 60;
+        const mins = Math.floor(totalFrames / 75 / 60);
+        return [mins, secs, frames].map(value => String(value).padStart(2, '0')).join(':');
+    }
+
+    /**
+     * File name without extension, e.g. "mix-2024-05-01-2130"
+     */
+    getBaseName() {
+        const date = this.startDate || new Date();
+        const pad = (value) => String(value).padStart(2, '0');
+        return `mix-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-` +
+            `${pad(date.getHours())}${pad(date.getMinutes())}`;
+    }
+
+    /**
+     * File extension for a recorder MIME type
+     */
+    getExtension(mimeType) {
+        if (mimeType.includes('ogg')) return 'ogg';
+        if (mimeType.includes('mp4')) return 'm4a';
+        return 'webm';
+    }
+
+    /**
+     * Save a blob through a temporary link
+     */
+    download(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Elapsed time and file size next to the REC button
+     */
+    updateStatus() {
+        const { status } = this.elements;
+        if (!status) return;
+
+        status.classList.toggle('active', this.isRecording());
+        status.textContent = this.isRecording()
+            ? `${Utils.formatTime(this.getElapsed())} · ${MixRecorder.formatSize(this.size)}`
+            : '';
+    }
+
+    /**
+     * Human readable size (KB/MB)
+     */
+    static formatSize(bytes) {
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MixRecorder;
+}
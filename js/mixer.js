@@ -13,6 +13,13 @@ class MixerController {
         // Knob instances
         this.knobs = {};
 
+        // Master meters: scale floor (dBFS), displayed peak per channel (falls back slowly), clip hold
+        this.meterFloor = -48;
+        this.peakFalloff = 1;  // dB per update
+        this.clipHoldTime = 2000;
+        this.masterPeaks = { L: -Infinity, R: -Infinity };
+        this.clipTimers = {};
+
         // Initialize
         this.init();
     }
@@ -22,6 +29,10 @@ class MixerController {
      */
     getElements() {
         return {
+            // Trim Knobs
+            trimA: document.getElementById('trimA'),
+            trimB: document.getElementById('trimB'),
+
             // EQ Knobs
             eqHighA: document.getElementById('eqHighA'),
             eqMidA: document.getElementById('eqMidA'),
@@ -30,6 +41,14 @@ class MixerController {
             eqMidB: document.getElementById('eqMidB'),
             eqLowB: document.getElementById('eqLowB'),
 
+            // EQ Kill Buttons
+            killHighA: document.getElementById('killHighA'),
+            killMidA: document.getElementById('killMidA'),
+            killLowA: document.getElementById('killLowA'),
+            killHighB: document.getElementById('killHighB'),
+            killMidB: document.getElementById('killMidB'),
+            killLowB: document.getElementById('killLowB'),
+
             // Volume Faders
             volumeA: document.getElementById('volumeA'),
             volumeB: document.getElementById('volumeB'),
@@ -39,7 +58,21 @@ class MixerController {
             meterB: document.getElementById('meterB'),
 
             // Crossfader
-            crossfader: document.getElementById('crossfader')
+            crossfader: document.getElementById('crossfader'),
+
+            // Master
+            masterVolume: document.getElementById('masterVolume'),
+            masterMeterL: document.getElementById('masterMeterL'),
+            masterMeterR: document.getElementById('masterMeterR'),
+            masterPeak: document.getElementById('masterPeak'),
+            limiterIndicator: document.getElementById('limiterIndicator'),
+
+            // Headphones
+            headphoneControls: document.getElementById('headphoneControls'),
+            pflA: document.getElementById('pflA'),
+            pflB: document.getElementById('pflB'),
+            cueMix: document.getElementById('cueMix'),
+            headphoneLevel: document.getElementById('headphoneLevel')
         };
     }
 
@@ -47,40 +80,50 @@ class MixerController {
      * Initialize mixer controller
      */
     init() {
+        this.setupTrimKnobs();
         this.setupEQKnobs();
         this.setupVolumeFaders();
         this.setupCrossfader();
+        this.setupMaster();
+        this.setupHeadphones();
         this.setupAudioEngineListeners();
     }
 
     /**
-     * Setup EQ knobs
+     * Setup trim knobs (pre-EQ gain, also set by auto gain)
      */
-    setupEQKnobs() {
-        // Deck A EQ
-        this.knobs.eqHighA = new Knob(this.elements.eqHighA, {
-            onChange: (value) => this.audioEngine.setEQ('A', 'high', value)
-        });
+    setupTrimKnobs() {
+        ['A', 'B'].forEach(deckId => {
+            const element = this.elements[`trim${deckId}`];
+            if (!element) return;
 
-        this.knobs.eqMidA = new Knob(this.elements.eqMidA, {
-            onChange: (value) => this.audioEngine.setEQ('A', 'mid', value)
+            this.knobs[`trim${deckId}`] = new Knob(element, {
+                onChange: (value) => this.audioEngine.setTrim(deckId, value)
+            });
         });
+    }
 
-        this.knobs.eqLowA = new Knob(this.elements.eqLowA, {
-            onChange: (value) => this.audioEngine.setEQ('A', 'low', value)
-        });
+    /**
+     * Setup EQ knobs and kill buttons
+     * Knobs run from -12 to 12; the dB they stand for depends on the EQ mode
+     */
+    setupEQKnobs() {
+        const toDb = (value) => this.audioEngine.eqPositionToDb(value / 12);
 
-        // Deck B EQ
-        this.knobs.eqHighB = new Knob(this.elements.eqHighB, {
-            onChange: (value) => this.audioEngine.setEQ('B', 'high', value)
-        });
+        ['A', 'B'].forEach(deckId => {
+            ['High', 'Mid', 'Low'].forEach(name => {
+                const band = name.toLowerCase();
 
-        this.knobs.eqMidB = new Knob(this.elements.eqMidB, {
-            onChange: (value) => this.audioEngine.setEQ('B', 'mid', value)
-        });
+                this.knobs[`eq${name}${deckId}`] = new Knob(this.elements[`eq${name}${deckId}`], {
+                    onChange: (value) => this.audioEngine.setEQ(deckId, band, toDb(value)),
+                    format: (value) => Utils.formatDb(toDb(value))
+                });
 
-        this.knobs.eqLowB = new Knob(this.elements.eqLowB, {
-            onChange: (value) => this.audioEngine.setEQ('B', 'low', value)
+                this.elements[`kill${name}${deckId}`]?.addEventListener('click', () => {
+                    const killed = this.audioEngine.decks[deckId].eqKills[band];
+                    this.audioEngine.setEQKill(deckId, band, !killed);
+                });
+            });
         });
     }
 
@@ -115,6 +158,63 @@ class MixerController {
         });
     }
 
+    /**
+     * Setup master gain knob and clip indicators
+     */
+    setupMaster() {
+        if (this.elements.masterVolume) {
+            this.knobs.masterVolume = new Knob(this.elements.masterVolume, {
+                onChange: (value) => this.audioEngine.setMasterVolume(value)
+            });
+        }
+
+        // Click a meter to reset its clip indicator
+        ['L', 'R'].forEach(channel => {
+            this.elements[`masterMeter${channel}`]?.addEventListener('click', () => {
+                this.setClip(channel, false);
+            });
+        });
+    }
+
+    /**
+     * Setup headphone cue (PFL) buttons, cue/master mix and level
+     */
+    setupHeadphones() {
+        ['A', 'B'].forEach(deckId => {
+            this.elements[`pfl${deckId}`]?.addEventListener('click', () => {
+                this.audioEngine.setPFL(deckId, !this.audioEngine.decks[deckId].pfl);
+            });
+        });
+
+        if (this.elements.cueMix) {
+            this.knobs.cueMix = new Knob(this.elements.cueMix, {
+                step: 1,
+                onChange: (value) => this.audioEngine.setCueMix(value / 100)
+            });
+        }
+
+        if (this.elements.headphoneLevel) {
+            this.knobs.headphoneLevel = new Knob(this.elements.headphoneLevel, {
+                step: 1,
+                onChange: (value) => this.audioEngine.setHeadphoneLevel(value / 100)
+            });
+        }
+
+        this.updateHeadphoneControls(this.audioEngine.outputMode);
+    }
+
+    /**
+     * Grey out the headphone controls while no headphone output is chosen
+     */
+    updateHeadphoneControls(mode) {
+        const controls = this.elements.headphoneControls;
+        if (!controls) return;
+        const off = mode === 'master';
+        controls.classList.toggle('disabled', off);
+        // The section keeps the tooltip, the greyed out controls don't take the pointer
+        controls.parentElement.title = off ? 'Choose a headphone output in Settings to use cue' : '';
+    }
+
     /**
      * Setup audio engine event listeners
      */
@@ -123,6 +223,54 @@ class MixerController {
         this.audioEngine.on('volumeLevel', (deckId, level) => {
             this.updateMeter(deckId, level);
         });
+
+        // Master meters
+        this.audioEngine.on('masterLevel', (levels) => {
+            if (levels) this.updateMasterMeters(levels);
+        });
+
+        // EQ kill buttons
+        this.audioEngine.on('eqKillChange', (deckId, band, killed) => {
+            const name = band[0].toUpperCase() + band.slice(1);
+            this.elements[`kill${name}${deckId}`]?.classList.toggle('active', killed);
+        });
+
+        // Same knob positions, new dB labels
+        this.audioEngine.on('eqModeChange', () => {
+            ['A', 'B'].forEach(deckId => ['High', 'Mid', 'Low'].forEach(name => {
+                this.knobs[`eq${name}${deckId}`]?.updateDisplay();
+            }));
+        });
+
+        // Trim set by auto gain
+        this.audioEngine.on('trimChange', (deckId, db) => {
+            this.knobs[`trim${deckId}`]?.setValue(db, false);
+        });
+
+        // Track loudness in the trim tooltip
+        this.audioEngine.on('trackLoaded', (deckId) => this.updateTrimTitle(deckId));
+        this.audioEngine.on('analysisComplete', (deckId) => this.updateTrimTitle(deckId));
+
+        // PFL buttons
+        this.audioEngine.on('pflChange', (deckId, enabled) => {
+            this.elements[`pfl${deckId}`]?.classList.toggle('active', enabled);
+        });
+
+        // Headphone bus only reaches the sound card in the split and 4-channel modes
+        this.audioEngine.on('outputModeChange', (mode) => this.updateHeadphoneControls(mode));
+    }
+
+    /**
+     * Show the loaded track's integrated loudness on the trim knob
+     */
+    updateTrimTitle(deckId) {
+        const container = this.elements[`trim${deckId}`]?.parentElement;
+        if (!container) return;
+
+        const loudness = this.audioEngine.decks[deckId].loudness;
+        container.title = loudness != null
+            ? `Trim (track loudness ${loudness.toFixed(1)} LUFS)`
+            : 'Trim';
     }
 
     /**
@@ -140,13 +288,62 @@ class MixerController {
         }
     }
 
+    /**
+     * Update master peak/RMS meters, clip indicators and limiter activity
+     */
+    updateMasterMeters({ left, right, reduction }) {
+        const toPercent = (db) => Utils.clamp((db - this.meterFloor) / -this.meterFloor, 0, 1) * 100;
+
+        [['L', left], ['R', right]].forEach(([channel, level]) => {
+            const meter = this.elements[`masterMeter${channel}`];
+            if (!meter) return;
+
+            // Peak jumps up instantly and falls back slowly so short peaks stay readable
+            this.masterPeaks[channel] = Math.max(level.peak, this.masterPeaks[channel] - this.peakFalloff);
+
+            meter.querySelector('.master-meter-rms').style.width = `${toPercent(level.rms)}%`;
+            meter.querySelector('.master-meter-peak').style.left = `${toPercent(this.masterPeaks[channel])}%`;
+
+            if (level.clip) this.setClip(channel, true);
+        });
+
+        if (this.elements.masterPeak) {
+            const peak = Math.max(this.masterPeaks.L, this.masterPeaks.R);
+            const text = peak > this.meterFloor ? `${peak.toFixed(1)} dB` : '-\u221e dB';
+            if (this.elements.masterPeak.textContent !== text) {
+                this.elements.masterPeak.textContent = text;
+            }
+        }
+
+        this.elements.limiterIndicator?.classList.toggle('active', reduction < -0.5);
+    }
+
+    /**
+     * Light or clear a clip indicator (lit indicators clear themselves after clipHoldTime)
+     */
+    setClip(channel, clipped) {
+        const clip = this.elements[`masterMeter${channel}`]?.querySelector('.master-meter-clip');
+        if (!clip) return;
+
+        clip.classList.toggle('active', clipped);
+        clearTimeout(this.clipTimers[channel]);
+        if (clipped) {
+            this.clipTimers[channel] = setTimeout(() => this.setClip(channel, false), this.clipHoldTime);
+        }
+    }
+
     /**
      * Reset all mixer controls
      */
     reset() {
-        // Reset EQ
+        // Reset trim, EQ, master and headphone knobs
         Object.values(this.knobs).forEach(knob => knob.reset());
 
+        // Reset kills
+        ['A', 'B'].forEach(deckId => ['low', 'mid', 'high'].forEach(band => {
+            this.audioEngine.setEQKill(deckId, band, false);
+        }));
+
         // Reset volume
         this.elements.volumeA.value = 1;
         this.elements.volumeB.value = 1;
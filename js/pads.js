@@ -0,0 +1,254 @@
+/**
+ * DJ Mix Web - Pad Controller
+ * Performance pads with selectable modes (Hot Cue, Loop Roll, Beat Jump, Sampler)
+ */
+
+class PadController {
+    constructor(deckId, audioEngine, deckController) {
+        this.deckId = deckId;
+        this.audioEngine = audioEngine;
+        this.deckController = deckController;
+
+        // DOM elements
+        this.padBtns = [];
+        for (let i = 1; i <= 8; i++) {
+            this.padBtns.push(document.getElementById(`pad${deckId}${i}`));
+        }
+        this.modeBtns = Array.from(
+            document.querySelectorAll(`#padModes${deckId} .pad-mode-btn`)
+        );
+
+        // Pad modes and what each pad does in them
+        this.modes = {
+            hotcue: {
+                label: 'HOT CUE',
+                pads: ['1', '2', '3', '4', '5', '6', '7', '8']
+            },
+            roll: {
+                label: 'ROLL',
+                // Loop roll length in beats
+                values: [1/16, 1/8, 1/4, 1/2, 1, 2, 4, 8],
+                pads: ['1/16', '1/8', '1/4', '1/2', '1', '2', '4', '8']
+            },
+            jump: {
+                label: 'JUMP',
+                // Top row jumps back, bottom row jumps forward (in beats)
+                values: [-1, -2, -4, -8, 1, 2, 4, 8],
+                pads: ['-1', '-2', '-4', '-8', '+1', '+2', '+4', '+8']
+            },
+            sampler: {
+                label: 'SAMPLER',
+                pads: ['S1', 'S2', 'S3', 'S4', 'S5', 'S6', 'S7', 'S8']
+            }
+        };
+
+        // State
+        this.mode = localStorage.getItem(`padMode${deckId}`) || 'hotcue';
+        if (!this.modes[this.mode]) this.mode = 'hotcue';
+        this.heldPads = new Set();
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.setupAudioEngineListeners();
+        this.setMode(this.mode);
+    }
+
+    /**
+     * Setup pad and mode button listeners
+     */
+    setupEventListeners() {
+        this.padBtns.forEach((btn, index) => {
+            if (!btn) return;
+
+            // Press (mouse + touch)
+            btn.addEventListener('mousedown', (e) => {
+                if (e.button !== 0) return;
+                this.press(index + 1);
+            });
+            btn.addEventListener('touchstart', (e) => {
+                e.preventDefault();
+                this.press(index + 1);
+            });
+
+            // Release
+            btn.addEventListener('mouseup', () => this.release(index + 1));
+            btn.addEventListener('mouseleave', () => this.release(index + 1));
+            btn.addEventListener('touchend', () => this.release(index + 1));
+
+            // Right click clears hot cues / samples
+            btn.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                this.clear(index + 1);
+            });
+        });
+
+        this.modeBtns.forEach(btn => {
+            btn.addEventListener('click', () => this.setMode(btn.dataset.mode));
+        });
+    }
+
+    /**
+     * Keep pad lights in sync with engine state
+     */
+    setupAudioEngineListeners() {
+        const refresh = (deckId) => {
+            if (deckId === this.deckId) this.updatePadStates();
+        };
+
+        this.audioEngine.on('hotCueSet', refresh);
+        this.audioEngine.on('hotCueCleared', refresh);
+        this.audioEngine.on('hotCueChange', refresh);
+        this.audioEngine.on('sampleCaptured', refresh);
+        this.audioEngine.on('sampleCleared', refresh);
+        this.audioEngine.on('trackLoaded', refresh);
+    }
+
+    /**
+     * Change pad mode
+     * @param {string} mode - 'hotcue', 'roll', 'jump' or 'sampler'
+     */
+    setMode(mode) {
+        if (!this.modes[mode]) return;
+
+        // Release anything still held in the previous mode
+        this.heldPads.forEach(index => this.release(index));
+
+        this.mode = mode;
+        localStorage.setItem(`padMode${this.deckId}`, mode);
+
+        this.modeBtns.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === mode);
+        });
+
+        this.padBtns.forEach((btn, index) => {
+            if (btn) btn.textContent = this.modes[mode].pads[index];
+        });
+
+        this.updatePadStates();
+        this.audioEngine.events.emit('padModeChange', this.deckId, mode);
+    }
+
+    /**
+     * Pad pressed (1-8)
+     */
+    press(index) {
+        if (this.heldPads.has(index)) return;
+        this.heldPads.add(index);
+
+        const deckId = this.deckId;
+        const modeConfig = this.modes[this.mode];
+
+        switch (this.mode) {
+            case 'hotcue':
+                if (this.deckController.deleteMode) {
+                    this.audioEngine.clearHotCue(deckId, index);
+                    this.deckController.exitDeleteMode();
+                } else {
+                    this.audioEngine.holdHotCue(deckId, index);
+                }
+                break;
+            case 'roll':
+                this.audioEngine.startLoopRoll(deckId, modeConfig.values[index - 1]);
+                break;
+            case 'jump':
+                this.audioEngine.beatJump(deckId, modeConfig.values[index - 1]);
+                break;
+            case 'sampler':
+                if (this.audioEngine.decks[deckId].samples[index - 1]) {
+                    this.audioEngine.playSample(deckId, index);
+                } else {
+                    this.audioEngine.captureSample(deckId, index);
+                }
+                break;
+        }
+
+        this.updatePadStates();
+    }
+
+    /**
+     * Pad released (1-8)
+     */
+    release(index) {
+        if (!this.heldPads.has(index)) return;
+        this.heldPads.delete(index);
+
+        if (this.mode === 'hotcue') {
+            if (this.heldPads.size === 0) {
+                this.audioEngine.releaseHotCue(this.deckId);
+            }
+        } else if (this.mode === 'roll') {
+            // Only end the roll once every roll pad is released
+            if (this.heldPads.size === 0) {
+                this.audioEngine.endLoopRoll(this.deckId);
+            } else {
+                const last = Array.from(this.heldPads).pop();
+                this.audioEngine.startLoopRoll(this.deckId, this.modes.roll.values[last - 1]);
+            }
+        }
+
+        this.updatePadStates();
+    }
+
+    /**
+     * Clear what a pad holds in the current mode (hot cue or sample)
+     */
+    clear(index) {
+        if (this.mode === 'hotcue') {
+            this.audioEngine.clearHotCue(this.deckId, index);
+        } else if (this.mode === 'sampler') {
+            this.audioEngine.clearSample(this.deckId, index);
+        }
+    }
+
+    /**
+     * Get lit state of each pad for the current mode
+     * @returns {boolean[]} 8 booleans
+     */
+    getPadStates() {
+        const deck = this.audioEngine.decks[this.deckId];
+
+        return this.padBtns.map((btn, i) => {
+            switch (this.mode) {
+                case 'hotcue':
+                    return deck.hotCues[i] != null;
+                case 'sampler':
+                    return deck.samples[i] != null;
+                default:
+                    return this.heldPads.has(i + 1);
+            }
+        });
+    }
+
+    /**
+     * Get the light color of each pad (hot cue colors in hot cue mode)
+     * @returns {Array<string|null>} 8 colors (null = deck color)
+     */
+    getPadColors() {
+        const deck = this.audioEngine.decks[this.deckId];
+        return this.padBtns.map((btn, i) => (this.mode === 'hotcue' ? deck.hotCues[i]?.color : null) || null);
+    }
+
+    /**
+     * Update pad lights and notify listeners (MIDI LEDs)
+     */
+    updatePadStates() {
+        const states = this.getPadStates();
+        const colors = this.getPadColors();
+
+        this.padBtns.forEach((btn, i) => {
+            if (!btn) return;
+            btn.classList.toggle('active', states[i]);
+            btn.style.setProperty('--pad-color', colors[i] || '');
+        });
+
+        this.audioEngine.events.emit('padStateChange', this.deckId, this.mode, states, colors);
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PadController;
+}
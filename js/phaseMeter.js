@@ -0,0 +1,71 @@
+/**
+ * DJ Mix Web - Phase Meter
+ * Shows how far apart the beats and bars of deck A and B are, live, with a ±ms readout for nudging
+ */
+
+class PhaseMeter {
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+
+        // DOM elements
+        this.elements = {
+            meter: document.getElementById('phaseMeter'),
+            beatMarker: document.getElementById('phaseBeatMarker'),
+            barMarker: document.getElementById('phaseBarMarker'),
+            readout: document.getElementById('phaseReadout')
+        };
+
+        // Readout color thresholds (ms)
+        this.lockedMs = 10;
+        this.closeMs = 30;
+
+        // Effective BPM difference above which the decks are shown as drifting
+        this.driftBpm = 0.05;
+
+        this.audioEngine.on('phaseUpdate', (offset) => this.update(offset));
+    }
+
+    /**
+     * Update markers and readout
+     * @param {Object|null} offset - From AudioEngine.getPhaseOffset()
+     */
+    update(offset) {
+        const { meter, beatMarker, barMarker, readout } = this.elements;
+        if (!meter) return;
+
+        meter.classList.toggle('inactive', !offset);
+        if (!offset) {
+            this.setText(readout, '-- ms');
+            return;
+        }
+
+        // Center = in phase; left = B behind, right = B ahead
+        beatMarker.style.left = `${50 + offset.beat * 100}%`;
+        barMarker.style.left = `${50 + offset.bar * 100}%`;
+
+        const ms = Math.round(offset.ms);
+        this.setText(readout, `${ms > 0 ? '+' : ''}${ms} ms`);
+
+        const absMs = Math.abs(offset.ms);
+        meter.classList.toggle('locked', absMs <= this.lockedMs);
+        meter.classList.toggle('close', absMs > this.lockedMs && absMs <= this.closeMs);
+        meter.classList.toggle('drifting', Math.abs(offset.bpmDiff) > this.driftBpm);
+        meter.title = Math.abs(offset.bpmDiff) > this.driftBpm
+            ? `Tempos differ by ${offset.bpmDiff.toFixed(2)} BPM: the decks will drift apart`
+            : 'Beat and bar phase of deck B against deck A';
+    }
+
+    /**
+     * Set text only when it changes (called at 30 FPS)
+     */
+    setText(element, text) {
+        if (element && element.textContent !== text) {
+            element.textContent = text;
+        }
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PhaseMeter;
+}
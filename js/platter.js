@@ -21,6 +21,7 @@ class PlatterController {
         // Scratch state
         this.scratchStartPosition = 0;
         this.scratchStartAngle = 0;
+        this.slipScratch = false;   // Scratching a playing deck in slip mode
 
         // Settings
         this.nudgeStrength = 0.15;        // Max tempo change when nudging
@@ -88,7 +89,12 @@ class PlatterController {
 
         const deck = this.audioEngine.decks[this.deckId];
 
-        if (deck.isPlaying && !deck.isPaused) {
+        if (deck.isPlaying && !deck.isPaused && this.audioEngine.startScratch(this.deckId)) {
+            // Playing in slip mode: scratch while the track keeps running underneath
+            this.slipScratch = true;
+            this.scratchStartPosition = this.audioEngine.getPosition(this.deckId);
+            this.scratchStartAngle = this.currentRotation;
+        } else if (deck.isPlaying && !deck.isPaused) {
             // Playing: save original tempo for nudge
             this.originalTempo = deck.tempo;
         } else {
@@ -116,7 +122,7 @@ class PlatterController {
 
         const deck = this.audioEngine.decks[this.deckId];
 
-        if (deck.isPlaying && !deck.isPaused) {
+        if (deck.isPlaying && !deck.isPaused && !this.slipScratch) {
             // NUDGE: temporary speed adjustment
             // deltaAngle positive = clockwise = speed up
             const nudgeAmount = (deltaAngle / 30) * this.nudgeStrength;
@@ -149,7 +155,11 @@ class PlatterController {
 
         const deck = this.audioEngine.decks[this.deckId];
 
-        if (deck.isPlaying && !deck.isPaused) {
+        if (this.slipScratch) {
+            // Slip: snap back to where the track would have been
+            this.slipScratch = false;
+            this.audioEngine.endScratch(this.deckId);
+        } else if (deck.isPlaying && !deck.isPaused) {
             // Return to original tempo
             this.audioEngine.setTempo(this.deckId, this.originalTempo);
         }
@@ -0,0 +1,402 @@
+/**
+ * DJ Mix Web - Playback Backends
+ * Interchangeable per-deck players behind one small API:
+ *   load(url, audioBuffer), play(), pause(), currentTime, playbackRate,
+ *   setLoop(start, end, enabled), setReverse(reverse, audioBuffer), setPreservesPitch(preserve),
+ *   output (AudioNode)
+ *
+ * MediaElementPlayer  - HTML5 <audio> element (streams the file, native preservesPitch;
+ *                       reverse plays a reversed copy of the decoded track)
+ * WorkletBufferPlayer - AudioWorklet rendering the decoded AudioBuffer (sample-accurate loop/seek)
+ */
+
+class MediaElementPlayer {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.events = Utils.createEventEmitter();
+
+        // Loops are wrapped by the engine's position loop
+        this.handlesLoop = false;
+        this.requiresBuffer = false;
+
+        this.audio = new Audio();
+        this.audio.crossOrigin = 'anonymous';
+        this.output = audioContext.createGain();
+        this.mediaSource = audioContext.createMediaElementSource(this.audio);
+        this.mediaSource.connect(this.output);
+
+        // Reverse: <audio> can't play backwards, so a reversed copy of the decoded track plays instead
+        this.reverse = false;
+        this.reverseBuffer = null;     // Reversed copy of reverseOf
+        this.reverseOf = null;         // AudioBuffer the copy was made from
+        this.reverseSource = null;     // AudioBufferSourceNode while reverse is audible
+        this.reverseAnchor = { position: 0, time: 0 };
+
+        // The element is paused while reversed; its events would look like the user pausing
+        ['ended', 'play', 'pause'].forEach(type => {
+            this.audio.addEventListener(type, () => {
+                if (!this.reverse) this.events.emit(type);
+            });
+        });
+    }
+
+    get loaded() {
+        return !!this.audio.src;
+    }
+
+    get duration() {
+        return this.audio.duration || 0;
+    }
+
+    get currentTime() {
+        if (!this.reverse) return this.audio.currentTime || 0;
+
+        const { position, time } = this.reverseAnchor;
+        if (!this.reverseSource) return position;
+        return Math.max(0, position - (this.audioContext.currentTime - time) * this.audio.playbackRate);
+    }
+
+    set currentTime(time) {
+        if (!this.reverse) {
+            this.audio.currentTime = time;
+            return;
+        }
+
+        // Restart the reversed copy at the new position
+        const playing = !!this.reverseSource;
+        this.stopReverseSource();
+        this.reverseAnchor = { position: time, time: this.audioContext.currentTime };
+        if (playing) this.startReverseSource();
+    }
+
+    get playbackRate() {
+        return this.audio.playbackRate;
+    }
+
+    set playbackRate(rate) {
+        if (this.reverseSource) {
+            // Re-anchor at the old rate so the position doesn't jump
+            this.reverseAnchor = { position: this.currentTime, time: this.audioContext.currentTime };
+            this.reverseSource.playbackRate.value = rate;
+        }
+        this.audio.playbackRate = rate;
+    }
+
+    /**
+     * Load a file URL and wait for its metadata
+     */
+    async load(url) {
+        const audio = this.audio;
+        const rate = audio.playbackRate;
+        this.setReverse(false);
+        this.reverseBuffer = null;
+        this.reverseOf = null;
+        audio.src = url;
+
+        await new Promise((resolve, reject) => {
+            const onLoaded = () => {
+                audio.removeEventListener('loadedmetadata', onLoaded);
+                audio.removeEventListener('error', onError);
+                resolve();
+            };
+            const onError = (e) => {
+                audio.removeEventListener('loadedmetadata', onLoaded);
+                audio.removeEventListener('error', onError);
+                reject(e);
+            };
+            audio.addEventListener('loadedmetadata', onLoaded);
+            audio.addEventListener('error', onError);
+            audio.load();
+        });
+
+        // load() resets the rate to defaultPlaybackRate
+        audio.playbackRate = rate;
+    }
+
+    play() {
+        if (this.reverse) {
+            this.startReverseSource();
+            this.events.emit('play');
+        } else {
+            this.audio.play();
+        }
+    }
+
+    pause() {
+        if (this.reverse) {
+            this.stopReverseSource();
+            this.events.emit('pause');
+        } else {
+            this.audio.pause();
+        }
+    }
+
+    setLoop() {}
+
+    /**
+     * Play backwards (true) or forwards from the current position
+     * @param {AudioBuffer} audioBuffer - Decoded track, reversed on first use
+     */
+    setReverse(reverse, audioBuffer) {
+        if (reverse === this.reverse) return;
+        if (reverse && !audioBuffer) return;
+
+        const position = this.currentTime;
+        const playing = this.reverse ? !!this.reverseSource : !this.audio.paused;
+
+        if (reverse) {
+            if (audioBuffer !== this.reverseOf) {
+                this.reverseBuffer = MediaElementPlayer.createReversedBuffer(this.audioContext, audioBuffer);
+                this.reverseOf = audioBuffer;
+            }
+            this.reverse = true;
+            this.audio.pause();
+            this.reverseAnchor = { position, time: this.audioContext.currentTime };
+            if (playing) this.startReverseSource();
+        } else {
+            this.stopReverseSource();
+            this.reverse = false;
+            this.audio.currentTime = position;
+            if (playing) this.audio.play();
+        }
+    }
+
+    /**
+     * Play the reversed copy from the anchored position
+     */
+    startReverseSource() {
+        if (this.reverseSource) return;
+
+        const source = this.audioContext.createBufferSource();
+        source.buffer = this.reverseBuffer;
+        source.playbackRate.value = this.audio.playbackRate;
+        source.connect(this.output);
+
+        // Track position p is at (duration - p) in the reversed copy
+        const position = this.reverseAnchor.position;
+        source.start(0, Math.max(0, this.reverseBuffer.duration - position));
+        this.reverseAnchor = { position, time: this.audioContext.currentTime };
+        this.reverseSource = source;
+    }
+
+    /**
+     * Stop the reversed copy, keeping where it got to
+     */
+    stopReverseSource() {
+        if (!this.reverseSource) return;
+
+        this.reverseAnchor = { position: this.currentTime, time: this.audioContext.currentTime };
+        this.reverseSource.stop();
+        this.reverseSource.disconnect();
+        this.reverseSource = null;
+    }
+
+    /**
+     * Copy of an AudioBuffer with every channel reversed
+     */
+    static createReversedBuffer(audioContext, buffer) {
+        const reversed = audioContext.createBuffer(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            reversed.copyToChannel(buffer.getChannelData(channel).slice().reverse(), channel);
+        }
+        return reversed;
+    }
+
+    /**
+     * Set preservesPitch on the audio element (with vendor prefixes)
+     */
+    setPreservesPitch(preserve) {
+        const audio = this.audio;
+        if ('preservesPitch' in audio) {
+            audio.preservesPitch = preserve;
+        } else if ('mozPreservesPitch' in audio) {
+            audio.mozPreservesPitch = preserve;
+        } else if ('webkitPreservesPitch' in audio) {
+            audio.webkitPreservesPitch = preserve;
+        }
+    }
+
+    /**
+     * Stop and detach from the audio graph
+     */
+    disconnect() {
+        this.stopReverseSource();
+        this.audio.pause();
+        this.output.disconnect();
+        this.audio.removeAttribute('src');
+        this.audio.load();
+    }
+}
+
+class WorkletBufferPlayer {
+    /**
+     * Load the processor module (once per AudioContext)
+     */
+    static async register(audioContext) {
+        await audioContext.audioWorklet.addModule('js/worklets/bufferPlayerProcessor.js');
+    }
+
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.events = Utils.createEventEmitter();
+
+        // The processor wraps loops itself and plays from the decoded buffer (in either direction)
+        this.handlesLoop = true;
+        this.requiresBuffer = true;
+
+        this.node = new AudioWorkletNode(audioContext, 'buffer-player', {
+            numberOfInputs: 0,
+            numberOfOutputs: 1,
+            outputChannelCount: [2]
+        });
+        this.output = this.node;
+
+        this.bufferDuration = 0;
+        this.playing = false;
+        this.rate = 1;
+        this.reverse = false;
+        this.loop = { enabled: false, start: 0, end: 0 };
+
+        // Last known position at a context time; extrapolated between reports
+        this.anchor = { position: 0, time: 0 };
+
+        // Reports from before our latest command are stale
+        this.seq = 0;
+
+        this.node.port.onmessage = (e) => this.handleMessage(e.data);
+    }
+
+    /**
+     * Handle position/ended reports from the processor
+     */
+    handleMessage(message) {
+        if (message.type === 'position' && message.seq === this.seq) {
+            this.anchor = { position: message.position, time: message.time };
+        } else if (message.type === 'ended') {
+            this.playing = false;
+            this.events.emit('ended');
+        }
+    }
+
+    /**
+     * Send a command to the processor
+     */
+    post(message, transfer = []) {
+        this.seq++;
+        this.node.port.postMessage({ ...message, seq: this.seq }, transfer);
+    }
+
+    get loaded() {
+        return this.bufferDuration > 0;
+    }
+
+    get duration() {
+        return this.bufferDuration;
+    }
+
+    get currentTime() {
+        const { position, time } = this.anchor;
+        if (!this.playing) return position;
+
+        const direction = this.reverse ? -1 : 1;
+        let current = position + (this.audioContext.currentTime - time) * this.rate * direction;
+
+        const { enabled, start, end } = this.loop;
+        if (enabled && end > start && current >= end && position < end) {
+            current = start + ((current - start) % (end - start));
+        } else if (enabled && end > start && this.reverse && current < start && position >= start) {
+            current = end - ((start - current) % (end - start));
+        }
+
+        return Utils.clamp(current, 0, this.bufferDuration);
+    }
+
+    set currentTime(time) {
+        const now = this.audioContext.currentTime;
+        this.anchor = { position: time, time: now };
+        this.post({ type: 'seek', position: time, time: now });
+    }
+
+    get playbackRate() {
+        return this.rate;
+    }
+
+    set playbackRate(rate) {
+        // Re-anchor so extrapolation before and after the change lines up
+        this.anchor = { position: this.currentTime, time: this.audioContext.currentTime };
+        this.rate = rate;
+        this.post({ type: 'rate', rate });
+    }
+
+    /**
+     * Hand the decoded track to the processor (channel data is copied)
+     */
+    async load(url, audioBuffer) {
+        const channels = [];
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            channels.push(audioBuffer.getChannelData(channel).slice());
+        }
+
+        this.playing = false;
+        this.reverse = false;
+        this.bufferDuration = audioBuffer.duration;
+        this.loop = { enabled: false, start: 0, end: 0 };
+        this.anchor = { position: 0, time: this.audioContext.currentTime };
+
+        this.post({ type: 'load', channels, sampleRate: audioBuffer.sampleRate }, channels.map(c => c.buffer));
+        this.post({ type: 'rate', rate: this.rate });
+    }
+
+    play() {
+        if (this.playing) return;
+        this.anchor = { position: this.anchor.position, time: this.audioContext.currentTime };
+        this.playing = true;
+        this.post({ type: 'play' });
+        this.events.emit('play');
+    }
+
+    pause() {
+        if (!this.playing) return;
+        this.anchor = { position: this.currentTime, time: this.audioContext.currentTime };
+        this.playing = false;
+        this.post({ type: 'pause' });
+        this.events.emit('pause');
+    }
+
+    /**
+     * Set the loop the processor wraps at (seconds)
+     */
+    setLoop(start, end, enabled) {
+        this.loop = { enabled, start, end };
+        this.post({ type: 'loop', start, end, enabled });
+    }
+
+    /**
+     * Play backwards (true) or forwards from the current position
+     */
+    setReverse(reverse) {
+        if (reverse === this.reverse) return;
+        this.anchor = { position: this.currentTime, time: this.audioContext.currentTime };
+        this.reverse = reverse;
+        this.post({ type: 'direction', reverse });
+    }
+
+    /**
+     * Rate always changes pitch here (no time-stretching in this backend)
+     */
+    setPreservesPitch() {}
+
+    /**
+     * Stop and detach from the audio graph
+     */
+    disconnect() {
+        this.post({ type: 'pause' });
+        this.node.port.onmessage = null;
+        this.node.disconnect();
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MediaElementPlayer, WorkletBufferPlayer };
+}
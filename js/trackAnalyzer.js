@@ -0,0 +1,191 @@
+/**
+ * DJ Mix Web - Track Analyzer
+ * Runs BPM/grid, key and waveform analysis in a Web Worker (workers/analysisWorker.js)
+ * so loading a track doesn't block the UI; falls back to the main thread if workers are unavailable
+ */
+
+class TrackAnalyzer {
+    /**
+     * Bumped when results change shape or meaning, so cached analyses are redone
+     */
+    static get version() {
+        return 4;
+    }
+
+    constructor() {
+        this.worker = null;
+        this.workerFailed = false;
+        this.jobs = new Map();  // id -> { resolve, reject, onProgress }
+        this.nextJobId = 1;
+    }
+
+    /**
+     * Run every analysis step on a buffer-like object
+     * Shared by the worker and the main-thread fallback
+     * @param {AudioBuffer|Object} audioBuffer - Needs sampleRate, length, duration, numberOfChannels, getChannelData()
+     * @param {function} onProgress - Called with (stage, progress 0-1)
+     * @param {AudioBuffer|Object} fullBuffer - Every channel of the track, for loudness (audioBuffer is a mono mix)
+     * @returns {Promise<{bpm: number, beatOffset: number, firstDownbeat: number, key: Object, waveformData: Object, loudness: number|null}>}
+     */
+    static async run(audioBuffer, onProgress = () => {}, fullBuffer = audioBuffer) {
+        onProgress('bpm', 0);
+        const bpmResult = await new BPMDetector().detect(audioBuffer);
+
+        onProgress('key', 0.4);
+        const key = await new KeyDetector().detect(audioBuffer);
+
+        onProgress('waveform', 0.7);
+        const waveformData = new WaveformGenerator().generate(audioBuffer);
+
+        onProgress('loudness', 0.9);
+        const loudness = new LoudnessMeter().measure(fullBuffer);
+
+        onProgress('done', 1);
+        return { ...bpmResult, key, waveformData, loudness };
+    }
+
+    /**
+     * Analyse a decoded track
+     * @param {AudioBuffer} audioBuffer
+     * @param {function} onProgress - Called with (stage, progress 0-1)
+     */
+    async analyze(audioBuffer, onProgress = () => {}) {
+        // Every step but loudness mixes to mono first; loudness needs each channel
+        const mono = this.getMixedChannelData(audioBuffer);
+
+        if (this.getWorker()) {
+            try {
+                const channels = [];
+                for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+                    channels.push(audioBuffer.getChannelData(channel).slice());
+                }
+                return await this.analyzeInWorker(mono, channels, audioBuffer.sampleRate, onProgress);
+            } catch (error) {
+                console.warn('Analysis worker failed, analysing on the main thread:', error);
+                this.disableWorker();
+            }
+        }
+
+        // Yield first so callers always get the result asynchronously
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        // The mono copy is gone if it was handed to a worker that then failed
+        const channelData = mono.length ? mono : this.getMixedChannelData(audioBuffer);
+        return TrackAnalyzer.run(TrackAnalyzer.createMonoBuffer(channelData, audioBuffer.sampleRate), onProgress, audioBuffer);
+    }
+
+    /**
+     * Wrap mono samples in the parts of the AudioBuffer API the analysers use
+     */
+    static createMonoBuffer(channelData, sampleRate) {
+        return TrackAnalyzer.createBuffer([channelData], sampleRate);
+    }
+
+    /**
+     * Same for several channels (Float32Arrays of equal length)
+     */
+    static createBuffer(channels, sampleRate) {
+        return {
+            sampleRate,
+            length: channels[0].length,
+            duration: channels[0].length / sampleRate,
+            numberOfChannels: channels.length,
+            getChannelData: (channel) => channels[channel]
+        };
+    }
+
+    /**
+     * Mix all channels to mono
+     */
+    getMixedChannelData(audioBuffer) {
+        const length = audioBuffer.length;
+        const numChannels = audioBuffer.numberOfChannels;
+        const mixedData = new Float32Array(length);
+
+        for (let channel = 0; channel < numChannels; channel++) {
+            const channelData = audioBuffer.getChannelData(channel);
+            for (let i = 0; i < length; i++) {
+                mixedData[i] += channelData[i] / numChannels;
+            }
+        }
+
+        return mixedData;
+    }
+
+    /**
+     * Create the worker on first use (null if unavailable)
+     */
+    getWorker() {
+        if (this.worker || this.workerFailed) return this.worker;
+
+        try {
+            this.worker = new Worker('js/workers/analysisWorker.js');
+            this.worker.onmessage = (e) => this.handleMessage(e.data);
+            this.worker.onerror = (e) => {
+                e.preventDefault?.();
+                this.failJobs(new Error(e.message || 'Analysis worker error'));
+            };
+        } catch (error) {
+            console.warn('Analysis worker unavailable:', error);
+            this.workerFailed = true;
+        }
+
+        return this.worker;
+    }
+
+    /**
+     * Stop using the worker (pending jobs fall back to the main thread)
+     */
+    disableWorker() {
+        this.workerFailed = true;
+        this.worker?.terminate();
+        this.worker = null;
+    }
+
+    /**
+     * Send a job to the worker
+     */
+    analyzeInWorker(channelData, channels, sampleRate, onProgress) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextJobId++;
+            this.jobs.set(id, { resolve, reject, onProgress });
+            this.worker.postMessage({ id, channelData, channels, sampleRate },
+                [channelData.buffer, ...channels.map(data => data.buffer)]);
+        });
+    }
+
+    /**
+     * Handle progress/results from the worker
+     */
+    handleMessage(message) {
+        const job = this.jobs.get(message.id);
+        if (!job) return;
+
+        switch (message.type) {
+            case 'progress':
+                job.onProgress(message.stage, message.progress);
+                break;
+            case 'complete':
+                this.jobs.delete(message.id);
+                job.resolve(message.result);
+                break;
+            case 'error':
+                this.jobs.delete(message.id);
+                job.reject(new Error(message.message));
+                break;
+        }
+    }
+
+    /**
+     * Reject every pending job
+     */
+    failJobs(error) {
+        this.jobs.forEach(job => job.reject(error));
+        this.jobs.clear();
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrackAnalyzer;
+}
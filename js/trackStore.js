@@ -0,0 +1,200 @@
+/**
+ * DJ Mix Web - Track Store
+ * Per-track data saved in the browser (analysis, beat grid edits, cues, loop)
+ * Tracks are keyed by a content fingerprint so renamed or re-imported files are still recognised
+ * Uses IndexedDB (waveforms are too big for localStorage); falls back to localStorage without it
+ */
+
+class TrackStore {
+    constructor() {
+        this.dbName = 'djmix';
+        this.storeName = 'tracks';
+        this.dbPromise = null;
+
+        // localStorage fallback (and where older versions saved grid edits)
+        this.prefix = 'track:';
+
+        // Bytes hashed from each end of the file
+        this.chunkSize = 64 * 1024;
+    }
+
+    /**
+     * Build the storage key for a file: size + hash of the first and last chunks
+     * @param {File} file
+     * @returns {Promise<string>}
+     */
+    async keyForFile(file) {
+        const size = file.size;
+        const head = await file.slice(0, Math.min(size, this.chunkSize)).arrayBuffer();
+        const tail = await file.slice(Math.max(0, size - this.chunkSize)).arrayBuffer();
+        return `${size}-${TrackStore.hash(head)}-${TrackStore.hash(tail)}`;
+    }
+
+    /**
+     * Key used before fingerprints (name + size)
+     */
+    static legacyKeyForFile(file) {
+        return `${file.name}|${file.size}`;
+    }
+
+    /**
+     * 32-bit FNV-1a hash as hex
+     * @param {ArrayBuffer} buffer
+     * @returns {string}
+     */
+    static hash(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < bytes.length; i++) {
+            hash ^= bytes[i];
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Open the database once (null if IndexedDB is unavailable)
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    openDB() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('IndexedDB unavailable, track data goes to localStorage:', request.error);
+                resolve(null);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Get stored data for a file, moving data saved under the legacy key if needed
+     * @param {File} file
+     * @returns {Promise<{key: string, data: Object|null}>}
+     */
+    async getForFile(file) {
+        const key = await this.keyForFile(file);
+        let data = await this.get(key);
+
+        if (!data) {
+            const legacyKey = TrackStore.legacyKeyForFile(file);
+            const legacy = this.readLocal(legacyKey);
+            if (legacy) {
+                data = await this.update(key, legacy);
+                localStorage.removeItem(this.prefix + legacyKey);
+            }
+        }
+
+        return { key, data };
+    }
+
+    /**
+     * Get stored data for a track
+     * @returns {Promise<Object|null>}
+     */
+    async get(key) {
+        if (!key) return null;
+
+        const db = await this.openDB();
+        if (!db) return this.readLocal(key);
+
+        try {
+            return await new Promise((resolve, reject) => {
+                const request = db.transaction(this.storeName).objectStore(this.storeName).get(key);
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.warn('Could not read track data:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Merge fields into the stored data for a track
+     * Read and write share one transaction, so quick successive updates don't lose fields
+     * @returns {Promise<Object>} Updated data
+     */
+    async update(key, fields) {
+        if (!key) return { ...fields };
+
+        const db = await this.openDB();
+        if (!db) {
+            const data = { ...this.readLocal(key), ...fields };
+            this.writeLocal(key, data);
+            return data;
+        }
+
+        try {
+            return await new Promise((resolve, reject) => {
+                const transaction = db.transaction(this.storeName, 'readwrite');
+                const store = transaction.objectStore(this.storeName);
+                let data;
+
+                const request = store.get(key);
+                request.onsuccess = () => {
+                    data = { ...request.result, ...fields };
+                    store.put(data, key);
+                };
+                transaction.oncomplete = () => resolve(data);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+        } catch (error) {
+            console.warn('Could not save track data:', error);
+            return { ...fields };
+        }
+    }
+
+    /**
+     * Read from the localStorage fallback
+     */
+    readLocal(key) {
+        try {
+            const json = localStorage.getItem(this.prefix + key);
+            if (!json) return null;
+            const data = JSON.parse(json);
+            // Typed arrays are saved as plain arrays
+            const waveformData = data.analysis?.waveformData;
+            if (waveformData && !Array.isArray(waveformData)) {
+                for (const band of Object.keys(waveformData)) {
+                    waveformData[band] = Float32Array.from(waveformData[band]);
+                }
+            }
+            return data;
+        } catch (error) {
+            console.warn('Could not read track data:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Write to the localStorage fallback
+     */
+    writeLocal(key, data) {
+        try {
+            localStorage.setItem(this.prefix + key, JSON.stringify(data, (name, value) =>
+                value instanceof Float32Array ? Array.from(value) : value
+            ));
+        } catch (error) {
+            console.warn('Could not save track data:', error);
+        }
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrackStore;
+}
@@ -77,6 +77,15 @@ const Utils = {
         return 20 * Math.log10(gain);
     },
 
+    /**
+     * Format a dB value for display (e.g. "+3", "-4.5", "-∞")
+     */
+    formatDb(db) {
+        if (db === -Infinity) return '-\u221e';
+        const rounded = Math.round(db * 10) / 10;
+        return rounded > 0 ? `+${rounded}` : `${rounded}`;
+    },
+
     /**
      * Calculate crossfade gains (equal power)
      */
@@ -5,12 +5,18 @@
 class WaveformGenerator {
     constructor() {
         this.samplesPerSecond = 50; // Resolution for waveform data
+
+        // Band split points (Hz): low < lowCrossover < mid < highCrossover < high
+        this.lowCrossover = 200;
+        this.highCrossover = 2500;
     }
 
     /**
      * Generate waveform data from audio buffer
      * @param {AudioBuffer} audioBuffer
-     * @returns {Float32Array} Normalized amplitude data (0-1)
+     * @returns {{amplitude: Float32Array, low: Float32Array, mid: Float32Array, high: Float32Array}}
+     *   Normalized RMS per frame (0-1): overall, and per band (each band normalized on its own
+     *   so quiet highs still show up in the colors)
      */
     generate(audioBuffer) {
         const sampleRate = audioBuffer.sampleRate;
@@ -18,34 +24,68 @@ class WaveformGenerator {
         const numSamples = Math.ceil(duration * this.samplesPerSecond);
         const samplesPerChunk = Math.floor(audioBuffer.length / numSamples);
 
-        const waveformData = new Float32Array(numSamples);
+        const waveformData = {
+            amplitude: new Float32Array(numSamples),
+            low: new Float32Array(numSamples),
+            mid: new Float32Array(numSamples),
+            high: new Float32Array(numSamples)
+        };
 
         // Get mixed channel data
         const mixedData = this.getMixedChannelData(audioBuffer);
 
+        // Two cascaded one-pole lowpasses per crossover (12 dB/octave)
+        const lowCoeff = 1 - Math.exp(-2 * Math.PI * this.lowCrossover / sampleRate);
+        const highCoeff = 1 - Math.exp(-2 * Math.PI * this.highCrossover / sampleRate);
+        let low1 = 0, low2 = 0, lowMid1 = 0, lowMid2 = 0;
+
         // Calculate RMS for each chunk
         for (let i = 0; i < numSamples; i++) {
             const start = i * samplesPerChunk;
             const end = Math.min(start + samplesPerChunk, mixedData.length);
 
-            let sum = 0;
+            let sum = 0, sumLow = 0, sumMid = 0, sumHigh = 0;
             for (let j = start; j < end; j++) {
-                sum += mixedData[j] * mixedData[j];
+                const sample = mixedData[j];
+                low1 += lowCoeff * (sample - low1);
+                low2 += lowCoeff * (low1 - low2);
+                lowMid1 += highCoeff * (sample - lowMid1);
+                lowMid2 += highCoeff * (lowMid1 - lowMid2);
+
+                const mid = lowMid2 - low2;
+                const high = sample - lowMid2;
+                sum += sample * sample;
+                sumLow += low2 * low2;
+                sumMid += mid * mid;
+                sumHigh += high * high;
             }
 
-            const rms = Math.sqrt(sum / (end - start));
-            waveformData[i] = rms;
+            const count = Math.max(1, end - start);
+            waveformData.amplitude[i] = Math.sqrt(sum / count);
+            waveformData.low[i] = Math.sqrt(sumLow / count);
+            waveformData.mid[i] = Math.sqrt(sumMid / count);
+            waveformData.high[i] = Math.sqrt(sumHigh / count);
         }
 
         // Normalize to 0-1 range
-        const maxValue = Math.max(...waveformData);
+        Object.values(waveformData).forEach(data => this.normalize(data));
+
+        return waveformData;
+    }
+
+    /**
+     * Scale an array in place so its peak is 1
+     */
+    normalize(data) {
+        let maxValue = 0;
+        for (let i = 0; i < data.length; i++) {
+            if (data[i] > maxValue) maxValue = data[i];
+        }
         if (maxValue > 0) {
-            for (let i = 0; i < waveformData.length; i++) {
-                waveformData[i] /= maxValue;
+            for (let i = 0; i < data.length; i++) {
+                data[i] /= maxValue;
             }
         }
-
-        return waveformData;
     }
 
     /**
@@ -77,20 +117,13 @@ class WaveformVisualizer {
         this.waveformData = null;
         this.position = 0; // 0-1 normalized position
         this.duration = 0;
-        this.bpm = 0; // BPM for beat markers
-        this.hotCues = [null, null, null, null, null, null, null, null]; // Hot cue positions in seconds
-
-        // Hot cue colors (8 colors for hot cues 1-8)
-        this.hotCueColors = [
-            '#FF0000', // 1 - Rojo
-            '#00FF00', // 2 - Verde
-            '#0088FF', // 3 - Azul
-            '#FFFF00', // 4 - Amarillo
-            '#FF00FF', // 5 - Magenta
-            '#00FFFF', // 6 - Cyan
-            '#FF8800', // 7 - Naranja
-            '#88FF00'  // 8 - Lima
-        ];
+        this.beatGrid = null; // BeatGrid for beat markers
+        this.hotCues = [null, null, null, null, null, null, null, null]; // Hot cues ({ position, color, label })
+        this.loop = { start: 0, end: null, enabled: false }; // Loop region in seconds
+        this.savedLoops = []; // Saved loops ({ start, end }) in seconds
+
+        // Default hot cue labels per cue type
+        this.cueTypeNames = { cue: 'Cue', loop: 'Loop', 'fade-in': 'Fade in', 'fade-out': 'Fade out' };
 
         // Options
         this.options = {
@@ -99,9 +132,11 @@ class WaveformVisualizer {
             backgroundColor: options.backgroundColor || 'transparent',
             positionColor: options.positionColor || '#ffffff',
             playedColor: options.playedColor || null, // If set, shows played portion differently
+            loopColor: options.loopColor || 'rgba(255, 255, 255, 0.15)',
             mirror: options.mirror !== false, // Default true - show mirrored waveform
             barWidth: options.barWidth || 2,
             barGap: options.barGap || 1,
+            style: options.style || 'rgb', // 'rgb' (band colors), 'stacked' (band layers) or 'mono' (deck gradient)
             ...options
         };
 
@@ -149,6 +184,65 @@ class WaveformVisualizer {
         this.render();
     }
 
+    /**
+     * Set how bars are colored
+     * @param {string} style - 'rgb', 'stacked' or 'mono'
+     */
+    setStyle(style) {
+        this.options.style = style;
+        this.render();
+    }
+
+    /**
+     * Bar color from band energy: low = red, mid = green, high = blue (brightest band at full)
+     * @param {number} index - Frame index in waveformData
+     */
+    bandColor(index) {
+        const { low, mid, high } = this.waveformData;
+        const peak = Math.max(low[index], mid[index], high[index]) || 1;
+        const r = Math.round((low[index] / peak) * 255);
+        const g = Math.round((mid[index] / peak) * 255);
+        const b = Math.round((high[index] / peak) * 255);
+        return `rgb(${r}, ${g}, ${b})`;
+    }
+
+    /**
+     * Fill one bar, mirrored around the center or from the bottom
+     */
+    fillBar(ctx, x, barWidth, barHeight, height) {
+        const y = this.options.mirror ? (height - barHeight) / 2 : height - barHeight;
+        ctx.fillRect(x, y, barWidth, barHeight);
+    }
+
+    /**
+     * Draw the bar for one frame in the current style
+     * @param {number} index - Frame index in waveformData
+     * @param {number} maxHeight - Height of a full-scale bar
+     * @param {CanvasGradient} gradient - Fill for the mono style
+     */
+    drawBar(ctx, index, x, barWidth, maxHeight, height, gradient) {
+        const { amplitude, low, mid, high } = this.waveformData;
+
+        switch (this.options.style) {
+            case 'stacked':
+                // Band layers, widest (bass) first
+                ctx.fillStyle = 'rgba(255, 60, 60, 0.85)';
+                this.fillBar(ctx, x, barWidth, (low[index] || 0) * maxHeight, height);
+                ctx.fillStyle = 'rgba(60, 255, 100, 0.8)';
+                this.fillBar(ctx, x, barWidth, (mid[index] || 0) * maxHeight * 0.75, height);
+                ctx.fillStyle = 'rgba(90, 170, 255, 0.9)';
+                this.fillBar(ctx, x, barWidth, (high[index] || 0) * maxHeight * 0.5, height);
+                break;
+            case 'rgb':
+                ctx.fillStyle = this.bandColor(index);
+                this.fillBar(ctx, x, barWidth, (amplitude[index] || 0) * maxHeight, height);
+                break;
+            default:
+                ctx.fillStyle = gradient;
+                this.fillBar(ctx, x, barWidth, (amplitude[index] || 0) * maxHeight, height);
+        }
+    }
+
     /**
      * Set playback position
      * @param {number} position - Normalized position (0-1)
@@ -159,8 +253,8 @@ class WaveformVisualizer {
     }
 
     /**
-     * Set hot cue positions
-     * @param {Array} hotCues - Array of positions in seconds (null if not set)
+     * Set hot cues
+     * @param {Array} hotCues - Array of { position, color, label } (null if not set)
      */
     setHotCues(hotCues) {
         this.hotCues = hotCues;
@@ -168,11 +262,60 @@ class WaveformVisualizer {
     }
 
     /**
-     * Set BPM for beat markers
-     * @param {number} bpm - Beats per minute
+     * Set loop region
+     * @param {number} start - Loop start in seconds
+     * @param {number|null} end - Loop end in seconds (null if no loop)
+     * @param {boolean} enabled - Whether the loop is active
      */
-    setBPM(bpm) {
-        this.bpm = bpm;
+    setLoop(start, end, enabled) {
+        this.loop = { start, end, enabled };
+        this.render();
+    }
+
+    /**
+     * Set the loops saved for the track
+     * @param {Array} loops - Array of { start, end } in seconds
+     */
+    setSavedLoops(loops) {
+        this.savedLoops = loops;
+        this.render();
+    }
+
+    /**
+     * Mark saved loops with a strip along the bottom edge
+     * @param {function} toX - Converts a time in seconds to an x coordinate
+     */
+    drawSavedLoops(ctx, toX, height) {
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+        this.savedLoops.forEach(loop => {
+            const startX = toX(loop.start);
+            ctx.fillRect(startX, height - 3, Math.max(toX(loop.end) - startX, 1), 3);
+        });
+    }
+
+    /**
+     * Draw the loop region between two x coordinates
+     * Active loops use the deck color, stored (inactive) loops are outlined
+     */
+    drawLoopRegion(ctx, startX, endX, height) {
+        const loopWidth = Math.max(endX - startX, 1);
+
+        if (this.loop.enabled) {
+            ctx.fillStyle = this.options.loopColor;
+            ctx.fillRect(startX, 0, loopWidth, height);
+        }
+
+        ctx.strokeStyle = this.loop.enabled ? 'rgba(255, 255, 255, 0.6)' : 'rgba(255, 255, 255, 0.25)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(startX + 0.5, 0.5, loopWidth - 1, height - 1);
+    }
+
+    /**
+     * Set beat grid for beat markers
+     * @param {BeatGrid} beatGrid
+     */
+    setBeatGrid(beatGrid) {
+        this.beatGrid = beatGrid;
         this.render();
     }
 
@@ -180,18 +323,15 @@ class WaveformVisualizer {
      * Draw beat markers on the waveform
      */
     drawBeatMarkers() {
-        if (!this.bpm || this.bpm <= 0 || !this.duration) return;
+        if (!this.beatGrid?.isValid() || !this.duration) return;
 
-        const { ctx, width, height, duration, bpm } = this;
-        const secondsPerBeat = 60 / bpm;
-        const totalBeats = Math.floor(duration / secondsPerBeat);
+        const { ctx, width, height, duration } = this;
 
-        for (let beat = 0; beat <= totalBeats; beat++) {
-            const beatTime = beat * secondsPerBeat;
-            const x = (beatTime / duration) * width;
+        this.beatGrid.beatsInRange(0, duration).forEach(({ time, downbeat }) => {
+            const x = (time / duration) * width;
 
-            // Downbeat (cada 4) más visible
-            if (beat % 4 === 0) {
+            // Downbeat (primer beat del compás) más visible
+            if (downbeat) {
                 ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
                 ctx.lineWidth = 1.5;
             } else {
@@ -203,7 +343,7 @@ class WaveformVisualizer {
             ctx.moveTo(x, 0);
             ctx.lineTo(x, height);
             ctx.stroke();
-        }
+        });
     }
 
     /**
@@ -214,11 +354,11 @@ class WaveformVisualizer {
 
         const { ctx, width, height } = this;
 
-        this.hotCues.forEach((position, index) => {
-            if (position !== null && position !== undefined) {
-                const x = (position / this.duration) * width;
+        this.hotCues.forEach((cue) => {
+            if (cue) {
+                const x = (cue.position / this.duration) * width;
 
-                ctx.strokeStyle = this.hotCueColors[index];
+                ctx.strokeStyle = cue.color;
                 ctx.lineWidth = 2;
                 ctx.beginPath();
                 ctx.moveTo(x, 0);
@@ -244,11 +384,21 @@ class WaveformVisualizer {
             ctx.fillRect(0, 0, width, height);
         }
 
-        if (!waveformData || waveformData.length === 0) return;
+        if (!waveformData?.amplitude.length) return;
+
+        // Draw loop region behind the bars
+        if (this.loop.end !== null && this.duration > 0) {
+            const startX = (this.loop.start / this.duration) * width;
+            const endX = (this.loop.end / this.duration) * width;
+            this.drawLoopRegion(ctx, startX, endX, height);
+        }
+        if (this.duration > 0) {
+            this.drawSavedLoops(ctx, (time) => (time / this.duration) * width, height);
+        }
 
         // Calculate bar positions
         const totalBars = Math.floor(width / (options.barWidth + options.barGap));
-        const samplesPerBar = waveformData.length / totalBars;
+        const samplesPerBar = waveformData.amplitude.length / totalBars;
         const positionBar = Math.floor(this.position * totalBars);
 
         // Create gradient
@@ -260,27 +410,21 @@ class WaveformVisualizer {
         // Draw bars
         for (let i = 0; i < totalBars; i++) {
             const sampleIndex = Math.floor(i * samplesPerBar);
-            const amplitude = waveformData[sampleIndex] || 0;
-
             const x = i * (options.barWidth + options.barGap);
-            const barHeight = amplitude * (height * 0.9);
+            const played = options.playedColor && i < positionBar;
 
-            // Choose color based on position
-            if (options.playedColor && i < positionBar) {
+            if (played && options.style === 'mono') {
+                // Played portion in a flat color
                 ctx.fillStyle = options.playedColor;
-            } else {
-                ctx.fillStyle = gradient;
+                this.fillBar(ctx, x, options.barWidth, (waveformData.amplitude[sampleIndex] || 0) * (height * 0.9), height);
+                continue;
             }
 
-            if (options.mirror) {
-                // Draw mirrored bars (from center)
-                const y = (height - barHeight) / 2;
-                ctx.fillRect(x, y, options.barWidth, barHeight);
-            } else {
-                // Draw from bottom
-                ctx.fillRect(x, height - barHeight, options.barWidth, barHeight);
-            }
+            // Band colors are dimmed instead
+            ctx.globalAlpha = played ? 0.4 : 1;
+            this.drawBar(ctx, sampleIndex, x, options.barWidth, height * 0.9, height, gradient);
         }
+        ctx.globalAlpha = 1;
 
         // Draw hot cue markers on top
         this.drawHotCueMarkers();
@@ -310,9 +454,10 @@ class ZoomedWaveformVisualizer extends WaveformVisualizer {
 
         // Zoom options
         this.baseWindowSeconds = options.windowSeconds || 8; // Base window in seconds
-        this.bpm = options.bpm || 120;
+        this.zoomMode = 'seconds'; // 'seconds' or 'beats' (same beats on screen whatever the BPM)
         this.tempo = 1; // Tempo multiplier (1 = original speed)
-        this.beatOffset = 0; // Time of first beat in seconds
+        this.gridEditMode = false; // Highlight the grid while it's being edited
+        this.slipPosition = null; // Shadow playhead in seconds (slip mode)
     }
 
     /**
@@ -320,14 +465,21 @@ class ZoomedWaveformVisualizer extends WaveformVisualizer {
      * When tempo changes, the window expands/compresses so beats move at constant visual speed
      */
     get effectiveWindowSeconds() {
+        if (this.zoomMode === 'beats' && this.beatGrid?.isValid()) {
+            // As many beats as baseWindowSeconds holds at 120 BPM, whatever the tempo
+            return this.baseWindowSeconds * 2 * this.beatGrid.secondsPerBeat;
+        }
         return this.baseWindowSeconds * this.tempo;
     }
 
     /**
-     * Set BPM for beat grid
+     * Set the zoom level
+     * @param {number} seconds - Window length at tempo 1
+     * @param {string} mode - 'seconds' or 'beats'
      */
-    setBPM(bpm) {
-        this.bpm = bpm;
+    setZoom(seconds, mode) {
+        this.baseWindowSeconds = seconds;
+        this.zoomMode = mode;
         this.render();
     }
 
@@ -341,11 +493,19 @@ class ZoomedWaveformVisualizer extends WaveformVisualizer {
     }
 
     /**
-     * Set beat offset (time of first beat)
-     * @param {number} offset - Beat offset in seconds
+     * Enable/disable grid edit mode (highlighted grid with bar numbers)
+     */
+    setGridEditMode(enabled) {
+        this.gridEditMode = enabled;
+        this.render();
+    }
+
+    /**
+     * Set shadow playhead position for slip mode
+     * @param {number|null} position - Position in seconds, null to hide
      */
-    setBeatOffset(offset) {
-        this.beatOffset = offset;
+    setSlipPosition(position) {
+        this.slipPosition = position;
         this.render();
     }
 
@@ -355,7 +515,7 @@ class ZoomedWaveformVisualizer extends WaveformVisualizer {
     render() {
         if (!this.ctx || !this.width) return;
 
-        const { ctx, width, height, waveformData, options, duration, position, bpm } = this;
+        const { ctx, width, height, waveformData, options, duration, position } = this;
         const windowSeconds = this.effectiveWindowSeconds; // Use effective window based on tempo
 
         // Clear canvas
@@ -366,7 +526,7 @@ class ZoomedWaveformVisualizer extends WaveformVisualizer {
             ctx.fillRect(0, 0, width, height);
         }
 
-        if (!waveformData || waveformData.length === 0 || duration === 0) return;
+        if (!waveformData?.amplitude.length || duration === 0) return;
 
         // Calculate visible window
         const currentTime = position * duration;
@@ -374,11 +534,21 @@ class ZoomedWaveformVisualizer extends WaveformVisualizer {
         const startTime = currentTime - halfWindow;
         const endTime = currentTime + halfWindow;
 
+        // Draw loop region
+        if (this.loop.end !== null && this.loop.end >= startTime && this.loop.start <= endTime) {
+            const pixelsPerSecond = width / windowSeconds;
+            const startX = (this.loop.start - startTime) * pixelsPerSecond;
+            const endX = (this.loop.end - startTime) * pixelsPerSecond;
+            this.drawLoopRegion(ctx, startX, endX, height);
+        }
+        this.drawSavedLoops(ctx, (time) => (time - startTime) * (width / windowSeconds), height);
+
         // Draw beat grid
         this.drawBeatGrid(ctx, width, height, startTime, endTime);
 
         // Calculate sample range
-        const samplesPerSecond = waveformData.length / duration;
+        const frameCount = waveformData.amplitude.length;
+        const samplesPerSecond = frameCount / duration;
         const startSample = Math.floor(Math.max(0, startTime) * samplesPerSecond);
         const endSample = Math.ceil(Math.min(duration, endTime) * samplesPerSecond);
 
@@ -388,27 +558,44 @@ class ZoomedWaveformVisualizer extends WaveformVisualizer {
         gradient.addColorStop(0.5, options.colorBottom);
         gradient.addColorStop(1, options.colorTop);
 
-        ctx.fillStyle = gradient;
-
         // Draw waveform
         const pixelsPerSecond = width / windowSeconds;
         const barWidth = Math.max(1, Math.floor(pixelsPerSecond / samplesPerSecond));
 
-        for (let i = startSample; i < endSample && i < waveformData.length; i++) {
+        for (let i = startSample; i < endSample && i < frameCount; i++) {
             const sampleTime = i / samplesPerSecond;
             const x = (sampleTime - startTime) * pixelsPerSecond;
 
             if (x < 0 || x > width) continue;
 
-            const amplitude = waveformData[i] || 0;
-            const barHeight = amplitude * (height * 0.85);
-            const y = (height - barHeight) / 2;
-
-            ctx.fillRect(x, y, Math.max(barWidth, 1), barHeight);
+            this.drawBar(ctx, i, x, barWidth, height * 0.85, height, gradient);
         }
 
         // Draw hot cue markers with labels
         this.drawHotCueMarkersZoomed(ctx, width, height, startTime, endTime);
+
+        // Draw slip shadow playhead
+        this.drawSlipMarker(ctx, width, height, startTime, endTime);
+    }
+
+    /**
+     * Draw the slip mode shadow playhead (dashed line)
+     */
+    drawSlipMarker(ctx, width, height, startTime, endTime) {
+        const position = this.slipPosition;
+        if (position === null || position < startTime || position > endTime) return;
+
+        const x = (position - startTime) * (width / this.effectiveWindowSeconds);
+
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 204, 0, 0.9)';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+        ctx.stroke();
+        ctx.restore();
     }
 
     /**
@@ -417,14 +604,14 @@ class ZoomedWaveformVisualizer extends WaveformVisualizer {
     drawHotCueMarkersZoomed(ctx, width, height, startTime, endTime) {
         const pixelsPerSecond = width / this.effectiveWindowSeconds;
 
-        this.hotCues.forEach((position, index) => {
-            if (position !== null && position !== undefined) {
+        this.hotCues.forEach((cue, index) => {
+            if (cue) {
                 // Check if hot cue is in visible window
-                if (position >= startTime && position <= endTime) {
-                    const x = (position - startTime) * pixelsPerSecond;
+                if (cue.position >= startTime && cue.position <= endTime) {
+                    const x = (cue.position - startTime) * pixelsPerSecond;
 
                     // Draw line
-                    ctx.strokeStyle = this.hotCueColors[index];
+                    ctx.strokeStyle = cue.color;
                     ctx.lineWidth = 2;
                     ctx.beginPath();
                     ctx.moveTo(x, 0);
@@ -432,7 +619,7 @@ class ZoomedWaveformVisualizer extends WaveformVisualizer {
                     ctx.stroke();
 
                     // Draw label background
-                    const label = `Cue ${index + 1}`;
+                    const label = cue.label || `${this.cueTypeNames[cue.type] || 'Cue'} ${index + 1}`;
                     ctx.font = 'bold 10px sans-serif';
                     const textWidth = ctx.measureText(label).width;
 
@@ -440,7 +627,7 @@ class ZoomedWaveformVisualizer extends WaveformVisualizer {
                     ctx.fillRect(x + 2, 2, textWidth + 6, 14);
 
                     // Draw label text
-                    ctx.fillStyle = this.hotCueColors[index];
+                    ctx.fillStyle = cue.color;
                     ctx.fillText(label, x + 5, 12);
                 }
             }
@@ -451,29 +638,23 @@ class ZoomedWaveformVisualizer extends WaveformVisualizer {
      * Draw beat grid lines
      */
     drawBeatGrid(ctx, width, height, startTime, endTime) {
-        // Use effective BPM (original BPM * tempo)
-        const effectiveBpm = this.bpm * this.tempo;
-        const secondsPerBeat = 60 / effectiveBpm;
-        const pixelsPerSecond = width / this.effectiveWindowSeconds;
+        if (!this.beatGrid?.isValid()) return;
 
-        // Calculate beat offset adjusted for tempo
-        const adjustedBeatOffset = this.beatOffset * this.tempo;
+        // Window and grid are both in track time, so tempo only changes the window size
+        const pixelsPerSecond = width / this.effectiveWindowSeconds;
 
-        // Find first and last beat in visible window, considering the beat offset
-        const firstBeat = Math.ceil((startTime - adjustedBeatOffset) / secondsPerBeat);
-        const lastBeat = Math.floor((endTime - adjustedBeatOffset) / secondsPerBeat);
+        // Grid edit mode draws the grid in orange so it stands out from the waveform
+        const color = this.gridEditMode ? '255, 170, 0' : '255, 255, 255';
 
-        for (let beat = firstBeat; beat <= lastBeat; beat++) {
-            // Beat time = offset + (beat number * seconds per beat)
-            const beatTime = adjustedBeatOffset + (beat * secondsPerBeat);
-            const x = (beatTime - startTime) * pixelsPerSecond;
+        this.beatGrid.beatsInRange(startTime, endTime).forEach(({ time, beat, downbeat }) => {
+            const x = (time - startTime) * pixelsPerSecond;
 
-            // Downbeat (every 4 beats) - más visible
-            if (beat % 4 === 0) {
-                ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+            // Downbeat (first beat of the bar) - más visible
+            if (downbeat) {
+                ctx.strokeStyle = `rgba(${color}, ${this.gridEditMode ? 0.9 : 0.5})`;
                 ctx.lineWidth = 2;
             } else {
-                ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+                ctx.strokeStyle = `rgba(${color}, ${this.gridEditMode ? 0.5 : 0.25})`;
                 ctx.lineWidth = 1;
             }
 
@@ -481,7 +662,14 @@ class ZoomedWaveformVisualizer extends WaveformVisualizer {
             ctx.moveTo(x, 0);
             ctx.lineTo(x, height);
             ctx.stroke();
-        }
+
+            // Bar numbers at the bottom while editing
+            if (this.gridEditMode && downbeat) {
+                ctx.font = 'bold 10px sans-serif';
+                ctx.fillStyle = `rgb(${color})`;
+                ctx.fillText(String(beat / this.beatGrid.beatsPerBar + 1), x + 3, height - 4);
+            }
+        });
     }
 }
 
@@ -0,0 +1,30 @@
+/**
+ * DJ Mix Web - Analysis Worker
+ * Receives mono channel data (plus every channel, for loudness), runs TrackAnalyzer.run
+ * off the main thread and reports progress and results back
+ */
+
+importScripts(
+    '../utils.js',
+    '../bpmDetector.js',
+    '../keyDetector.js',
+    '../waveformGenerator.js',
+    '../loudnessMeter.js',
+    '../trackAnalyzer.js'
+);
+
+self.onmessage = async (e) => {
+    const { id, channelData, channels, sampleRate } = e.data;
+    const audioBuffer = TrackAnalyzer.createMonoBuffer(channelData, sampleRate);
+    const fullBuffer = TrackAnalyzer.createBuffer(channels, sampleRate);
+
+    try {
+        const result = await TrackAnalyzer.run(audioBuffer, (stage, progress) => {
+            self.postMessage({ id, type: 'progress', stage, progress });
+        }, fullBuffer);
+        const transfer = Object.values(result.waveformData).map(data => data.buffer);
+        self.postMessage({ id, type: 'complete', result }, transfer);
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,152 @@
+/**
+ * DJ Mix Web - Buffer Player Processor (AudioWorklet)
+ * Plays a decoded track from memory with sample-accurate seek, loop, rate and reverse
+ * Runs on the audio rendering thread; controlled by WorkletBufferPlayer via messages
+ */
+
+class BufferPlayerProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+
+        this.channels = [];         // Float32Array per channel
+        this.bufferRate = sampleRate;
+        this.length = 0;
+
+        this.playing = false;
+        this.position = 0;          // Read position in buffer samples (fractional)
+        this.rate = 1;              // Playback rate
+        this.direction = 1;         // 1 forwards, -1 reverse
+        this.loop = { enabled: false, start: 0, end: 0 }; // In buffer samples
+
+        // Sequence number of the last command, echoed so the player can drop stale reports
+        this.seq = 0;
+
+        // Report position to the main thread every few render quanta
+        this.reportInterval = 8;
+        this.blocksSinceReport = 0;
+
+        this.port.onmessage = (e) => this.handleMessage(e.data);
+    }
+
+    /**
+     * Handle control messages from the main thread
+     */
+    handleMessage(message) {
+        this.seq = message.seq;
+
+        switch (message.type) {
+            case 'load':
+                this.channels = message.channels;
+                this.bufferRate = message.sampleRate;
+                this.length = this.channels[0]?.length || 0;
+                this.position = 0;
+                this.playing = false;
+                this.loop.enabled = false;
+                this.direction = 1;
+                break;
+            case 'play':
+                this.playing = true;
+                break;
+            case 'pause':
+                this.playing = false;
+                break;
+            case 'seek': {
+                // Position is given as of context time `time`; account for audio rendered since
+                const elapsed = this.playing ? Math.max(0, currentTime - message.time) : 0;
+                this.position = (message.position + elapsed * this.rate * this.direction) * this.bufferRate;
+                this.wrapLoop();
+                break;
+            }
+            case 'rate':
+                this.rate = message.rate;
+                break;
+            case 'direction':
+                this.direction = message.reverse ? -1 : 1;
+                break;
+            case 'loop':
+                this.loop.enabled = message.enabled;
+                this.loop.start = message.start * this.bufferRate;
+                this.loop.end = message.end * this.bufferRate;
+                break;
+        }
+        this.report();
+    }
+
+    /**
+     * Keep the read position inside an active loop (past the end forwards, before the start in reverse)
+     */
+    wrapLoop() {
+        const { enabled, start, end } = this.loop;
+        if (!enabled || end <= start) return;
+        if (this.position >= end) {
+            this.position = start + ((this.position - start) % (end - start));
+        } else if (this.direction < 0 && this.position < start) {
+            this.position = end - ((start - this.position) % (end - start));
+        }
+    }
+
+    /**
+     * Send the current position to the main thread
+     */
+    report() {
+        this.blocksSinceReport = 0;
+        this.port.postMessage({
+            type: 'position',
+            position: this.position / this.bufferRate,
+            time: currentTime,
+            playing: this.playing,
+            seq: this.seq
+        });
+    }
+
+    process(inputs, outputs) {
+        const output = outputs[0];
+        const frames = output[0].length;
+
+        if (!this.playing || this.length === 0) {
+            return true;
+        }
+
+        // Buffer samples to advance per output sample
+        const step = this.rate * this.direction * (this.bufferRate / sampleRate);
+
+        for (let i = 0; i < frames; i++) {
+            if (this.direction < 0) {
+                if (this.position <= 0) {
+                    // Reversed back to the start: hold there (silent) until played forwards again
+                    this.position = 0;
+                    break;
+                }
+                // Reversing from the very end: keep both interpolation samples inside the buffer
+                this.position = Math.min(this.position, this.length - 2);
+            } else if (this.position >= this.length - 1) {
+                this.playing = false;
+                this.position = this.length;
+                this.report();
+                this.port.postMessage({ type: 'ended' });
+                break;
+            }
+
+            // Linear interpolation between neighbouring samples
+            const index = Math.floor(this.position);
+            const frac = this.position - index;
+            for (let channel = 0; channel < output.length; channel++) {
+                const data = this.channels[Math.min(channel, this.channels.length - 1)];
+                output[channel][i] = data[index] + (data[index + 1] - data[index]) * frac;
+            }
+
+            this.position += step;
+            if (this.loop.enabled && (this.position >= this.loop.end || this.position < this.loop.start)) {
+                this.wrapLoop();
+            }
+        }
+
+        if (++this.blocksSinceReport >= this.reportInterval) {
+            this.report();
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('buffer-player', BufferPlayerProcessor);
@@ -0,0 +1,160 @@
+/**
+ * DJ Mix Web - Pitch Shifter Processor (AudioWorklet)
+ * WSOLA pitch shifter: the input is read back through a delay line at pitchRatio samples per sample
+ * (transposing it); when the read point drifts too close to, or too far behind, the write point it
+ * jumps by whole grains. Each jump target is chosen by cross-correlation so the new grain lines up
+ * with the waveform of the old one, and the two are crossfaded, which keeps the tempo unchanged
+ * without the comb filtering of fixed-tap shifters
+ * Used for key lock (undo the pitch change of the playback rate) and the PITCH slider
+ * At pitchRatio 1 the engine routes around this node, so it adds no latency then; otherwise the
+ * current delay is posted to the engine, which subtracts it from the deck position
+ */
+
+class PitchShifterProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [{
+            name: 'pitchRatio',
+            defaultValue: 1,
+            minValue: 0.25,
+            maxValue: 4,
+            automationRate: 'k-rate'
+        }];
+    }
+
+    constructor() {
+        super();
+
+        // Grain sizes (samples)
+        this.overlap = Math.round(sampleRate * 0.01);      // Crossfade between grains
+        this.search = Math.round(sampleRate * 0.006);      // Jump targets tried on each side
+        this.corrLength = Math.round(sampleRate * 0.005);  // Waveform compared at each target
+        this.corrStep = 2;                                 // Every other sample is enough to match
+
+        // Delay line (power of two, long enough for the largest jumps at ratio 4)
+        this.bufferSize = 1 << Math.ceil(Math.log2(sampleRate * 0.25));
+        this.mask = this.bufferSize - 1;
+        this.buffers = [new Float32Array(this.bufferSize), new Float32Array(this.bufferSize)];
+
+        // Absolute sample positions (write = samples received so far, read = fractional)
+        this.writeIndex = 0;
+        this.readPos = -Math.round(sampleRate * 0.015);
+
+        // Crossfade to the next grain
+        this.fading = false;
+        this.fadePos = 0;
+        this.fadeIndex = 0;
+
+        // Report the delay every other render quantum (it drifts between grain jumps)
+        this.reportInterval = 2;
+        this.blocksSinceReport = 0;
+    }
+
+    /**
+     * Read a channel at an absolute fractional position (linear interpolation)
+     */
+    read(buffer, position) {
+        const index = Math.floor(position);
+        const frac = position - index;
+        const a = buffer[index & this.mask];
+        const b = buffer[(index + 1) & this.mask];
+        return a + (b - a) * frac;
+    }
+
+    /**
+     * Start a crossfade to a grain about `shift` samples away from the read point,
+     * refined to the position whose waveform best matches what the current grain plays next
+     */
+    startGrain(shift) {
+        const [left, right] = this.buffers;
+        const { mask, corrLength, corrStep, search } = this;
+        const from = Math.floor(this.readPos);
+        const base = from + Math.round(shift);
+
+        let bestOffset = 0;
+        let bestScore = -Infinity;
+        for (let offset = -search; offset <= search; offset += corrStep) {
+            const start = base + offset;
+            let dot = 0;
+            let energy = 1e-9;
+            for (let j = 0; j < corrLength; j += corrStep) {
+                const x = left[(from + j) & mask] + right[(from + j) & mask];
+                const y = left[(start + j) & mask] + right[(start + j) & mask];
+                dot += x * y;
+                energy += y * y;
+            }
+            // Normalised so loud candidates don't win just by being loud
+            const score = dot / Math.sqrt(energy);
+            if (score > bestScore) {
+                bestScore = score;
+                bestOffset = offset;
+            }
+        }
+
+        this.fading = true;
+        this.fadeIndex = 0;
+        this.fadePos = this.readPos + Math.round(shift) + bestOffset;
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        if (!output || output.length === 0) return true;
+
+        const frames = output[0].length;
+        const ratio = parameters.pitchRatio[0];
+        const { overlap, search, corrLength, buffers, mask } = this;
+
+        // Delay limits for this ratio: the old grain has to stay behind the write point through
+        // the correlation window and the crossfade; jumps are long enough that grains outlast the crossfade
+        const drift = Math.abs(ratio - 1);
+        const minDelay = Math.max(corrLength, (ratio - 1) * overlap) + 4;
+        const jump = Math.max(2 * search, 2 * overlap * drift) + search;
+
+        for (let i = 0; i < frames; i++) {
+            for (let channel = 0; channel < 2; channel++) {
+                const source = input[Math.min(channel, input.length - 1)];
+                buffers[channel][this.writeIndex & mask] = source ? source[i] : 0;
+            }
+            this.writeIndex++;
+
+            // Crossfade weight of the new grain (raised cosine)
+            const fade = this.fading ? 0.5 - 0.5 * Math.cos(Math.PI * this.fadeIndex / overlap) : 0;
+
+            for (let channel = 0; channel < output.length; channel++) {
+                const buffer = buffers[Math.min(channel, 1)];
+                let sample = this.read(buffer, this.readPos);
+                if (this.fading) {
+                    sample = sample * (1 - fade) + this.read(buffer, this.fadePos) * fade;
+                }
+                output[channel][i] = sample;
+            }
+
+            this.readPos += ratio;
+            if (this.fading) {
+                this.fadePos += ratio;
+                if (++this.fadeIndex >= overlap) {
+                    this.readPos = this.fadePos;
+                    this.fading = false;
+                }
+                continue;
+            }
+
+            // Raised pitch catches up with the write point: jump back; lowered pitch falls behind: jump forward
+            const delay = this.writeIndex - this.readPos;
+            if (ratio > 1 && delay <= minDelay) {
+                this.startGrain(-jump);
+            } else if ((ratio < 1 && delay >= minDelay + jump + search) || delay >= this.bufferSize - overlap * 4) {
+                this.startGrain(Math.min(jump, delay - minDelay - search));
+            }
+        }
+
+        if (++this.blocksSinceReport >= this.reportInterval) {
+            this.blocksSinceReport = 0;
+            this.port.postMessage({ type: 'latency', latency: (this.writeIndex - this.readPos) / sampleRate });
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('pitch-shifter', PitchShifterProcessor);